@@ -0,0 +1,118 @@
+/**
+ * Attachments for Chat SDK
+ * Validates files before they are uploaded and normalizes attachments received from the server
+ */
+
+import { ChatSdkError, ERROR_CODES } from './errors.js'
+
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024
+const MAX_ATTACHMENTS = 10
+const ALLOWED_TYPES = ['image/*', 'application/pdf']
+
+/**
+ * @typedef {Object} AttachmentPolicy
+ * @property {number} [maxSize=10485760] - Max size of a file in bytes
+ * @property {number} [maxCount=10] - Max files per message
+ * @property {string[]} [allowedTypes] - MIME types, `type/*` wildcards allowed. Default: images and PDFs
+ */
+
+/**
+ * @typedef {Object} Attachment
+ * @property {string} id
+ * @property {string} [url]
+ * @property {string} name
+ * @property {string} type - MIME type
+ * @property {number} [size] - Size in bytes
+ * @property {string} [thumbnailUrl]
+ * @property {'uploading' | 'uploaded' | 'failed'} [status] - Outgoing attachments only
+ * @property {number} [progress] - Upload progress from 0 to 1, outgoing attachments only
+ */
+
+/**
+ * Get the attachment policy from the credentials
+ * @param {Object} [credentials]
+ * @returns {Required<AttachmentPolicy>}
+ */
+export function getAttachmentPolicy(credentials) {
+  const policy = credentials?.attachments
+  return {
+    maxSize: policy?.maxSize ?? MAX_ATTACHMENT_SIZE,
+    maxCount: policy?.maxCount ?? MAX_ATTACHMENTS,
+    allowedTypes: policy?.allowedTypes ?? ALLOWED_TYPES
+  }
+}
+
+/**
+ * Check a MIME type against allowed types
+ * @param {string} type
+ * @param {string[]} allowedTypes
+ * @returns {boolean}
+ */
+function isAllowedType(type, allowedTypes) {
+  return allowedTypes.some((allowed) =>
+    allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed
+  )
+}
+
+/**
+ * Check files against the policy before anything is uploaded
+ * @param {Blob[]} files
+ * @param {Required<AttachmentPolicy>} policy
+ * @throws {ChatSdkError} When a file is too large or of a type that is not allowed
+ */
+export function validateAttachments(files, policy) {
+  if (files.length > policy.maxCount) {
+    throw new ChatSdkError(`At most ${policy.maxCount} files can be sent at once`, {
+      code: ERROR_CODES.INVALID_ATTACHMENT
+    })
+  }
+  files.forEach((file) => {
+    const name = file.name ?? 'File'
+    if (file.size > policy.maxSize) {
+      throw new ChatSdkError(
+        `${name} is too large, files can be up to ${Math.floor(policy.maxSize / 1024 / 1024)}MB`,
+        { code: ERROR_CODES.ATTACHMENT_TOO_LARGE }
+      )
+    }
+    if (!isAllowedType(file.type || 'application/octet-stream', policy.allowedTypes)) {
+      throw new ChatSdkError(`${name} can't be sent, this file type is not supported`, {
+        code: ERROR_CODES.INVALID_ATTACHMENT
+      })
+    }
+  })
+}
+
+/**
+ * Strip an attachment down to what the server needs to reference an uploaded file
+ * @param {Attachment} attachment
+ * @returns {Attachment}
+ */
+export function toAttachmentRef({ id, url, name, type, size }) {
+  return { id, url, name, type, size }
+}
+
+/**
+ * Normalize an attachment received from the server, whatever names its fields use
+ * @param {Object} raw
+ * @returns {Attachment}
+ */
+export function normalizeAttachment(raw) {
+  return {
+    id: raw.id ?? raw.fileId,
+    url: raw.url ?? raw.fileUrl,
+    name: raw.name ?? raw.fileName ?? 'File',
+    type: raw.type ?? raw.mimeType ?? raw.contentType ?? 'application/octet-stream',
+    size: raw.size,
+    thumbnailUrl: raw.thumbnailUrl
+  }
+}
+
+/**
+ * Normalize the attachments of a message received from the server
+ * @param {Object} msg - Message from the history, the stream or the socket
+ * @returns {Attachment[] | undefined} undefined when the message has none
+ */
+export function normalizeAttachments(msg) {
+  const raw = msg?.attachments ?? (msg?.attachment ? [msg.attachment] : undefined)
+  return raw?.length ? raw.map(normalizeAttachment) : undefined
+}
@@ -0,0 +1,181 @@
+/**
+ * Auth Service for Chat SDK
+ * Provides the bearer token for HTTP, SSE and socket requests, refreshing it
+ * through the `getToken` provider before it expires or after a 401
+ */
+
+import { parseJwt } from './utils.js'
+import { AuthError, ERROR_CODES } from './errors.js'
+
+// Refresh this long before the token expires, so requests in flight don't carry an expired one
+const REFRESH_MARGIN = 60 * 1000
+// setTimeout can't wait longer than this
+const MAX_TIMER_DELAY = 2 ** 31 - 1
+
+/**
+ * Get the expiry of a JWT
+ * @param {string} token
+ * @returns {number | null} Expiry in ms since epoch, null when unknown
+ */
+function getTokenExpiry(token) {
+  const exp = parseJwt(token)?.exp
+  return typeof exp === 'number' ? exp * 1000 : null
+}
+
+/**
+ * Create an auth service bound to a client
+ * @param {import('./client.js').ClientContext} client - Services of the owning client
+ */
+export function createAuthService(client) {
+  /** @type {string | undefined} */
+  let token
+  /** @type {Promise<string> | undefined} */
+  let refreshPromise
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  let refreshTimeout = null
+  // The server rejected the current token, the next request needs a fresh one
+  let rejected = false
+
+  /**
+   * Get the token provider passed to `initialize`
+   * @returns {(() => Promise<string>) | undefined}
+   */
+  function getProvider() {
+    const provider = client.chat.getCredentials()?.getToken
+    return typeof provider === 'function' ? provider : undefined
+  }
+
+  /**
+   * Whether requests are authenticated with a token rather than an external ID
+   * @returns {boolean}
+   */
+  function usesToken() {
+    const credentials = client.chat.getCredentials()
+    return Boolean(credentials?.token || getProvider())
+  }
+
+  /**
+   * Whether a rejected token can be replaced by a fresh one
+   * @returns {boolean}
+   */
+  function canRefresh() {
+    return Boolean(getProvider())
+  }
+
+  /**
+   * Stop the proactive refresh
+   */
+  function stopRefreshTimer() {
+    if (refreshTimeout) {
+      clearTimeout(refreshTimeout)
+      refreshTimeout = null
+    }
+  }
+
+  /**
+   * Refresh the token shortly before it expires
+   */
+  function scheduleRefresh() {
+    stopRefreshTimer()
+    const expiry = token && getTokenExpiry(token)
+    if (!expiry || !getProvider()) {
+      return
+    }
+
+    const delay = Math.min(Math.max(expiry - REFRESH_MARGIN - Date.now(), 0), MAX_TIMER_DELAY)
+    refreshTimeout = setTimeout(() => {
+      refreshTimeout = null
+      refresh().catch(() => {
+        // Reported through authError, the next request retries
+      })
+    }, delay)
+    // Don't keep a Node process alive just to refresh a token
+    refreshTimeout.unref?.()
+  }
+
+  /**
+   * Fetch a new token from the provider, sharing one call between concurrent callers
+   * An open socket is reopened with the new token, whatever asked for it
+   * @returns {Promise<string>}
+   */
+  function refresh() {
+    if (!refreshPromise) {
+      client.logger.debug('Refreshing token')
+      refreshPromise = (async () => {
+        try {
+          const freshToken = await getProvider()()
+          if (!freshToken || typeof freshToken !== 'string') {
+            throw new Error('getToken did not return a token')
+          }
+          token = freshToken
+          rejected = false
+          scheduleRefresh()
+          client.socket.restart()
+          return freshToken
+        } catch (cause) {
+          client.logger.error('Failed to refresh token: ', cause)
+          const error = new AuthError('Your session has expired, please sign in again', {
+            code: ERROR_CODES.TOKEN_REFRESH_FAILED,
+            cause
+          })
+          client.events.emit('authError', error)
+          throw error
+        } finally {
+          refreshPromise = undefined
+        }
+      })()
+    }
+    return refreshPromise
+  }
+
+  /**
+   * Get a token to authenticate a request with
+   * @param {{ forceRefresh?: boolean }} [options] - forceRefresh after the server rejected the current token
+   * @returns {Promise<string | undefined>} undefined for public chats authenticated by external ID
+   */
+  async function getToken({ forceRefresh = false } = {}) {
+    if (!getProvider()) {
+      return client.chat.getCredentials()?.token
+    }
+
+    if (!token && !rejected) {
+      // The initial token may still be valid, it saves a call to the provider
+      token = client.chat.getCredentials()?.token
+      scheduleRefresh()
+    }
+
+    const expiry = token && getTokenExpiry(token)
+    const expired = expiry !== null && expiry - REFRESH_MARGIN <= Date.now()
+    if (forceRefresh || !token || expired) {
+      return refresh()
+    }
+    return token
+  }
+
+  /**
+   * Forget the current token, e.g. after the socket was closed for an invalid token
+   * The next request gets a fresh one from the provider
+   */
+  function invalidate() {
+    token = undefined
+    rejected = true
+    stopRefreshTimer()
+  }
+
+  /**
+   * Forget the token of the previous credentials, the initial token of the new ones is used
+   */
+  function reset() {
+    token = undefined
+    rejected = false
+    stopRefreshTimer()
+  }
+
+  return {
+    getToken,
+    usesToken,
+    canRefresh,
+    invalidate,
+    reset
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Rich Message Blocks for Chat SDK
+ * Normalizes the quick replies, buttons, cards and forms of received messages,
+ * and describes the user's answer to them
+ */
+
+/**
+ * @typedef {Object} BlockOption
+ * @property {string} label
+ * @property {*} value - Sent back by `sendPostback`
+ */
+
+/**
+ * @typedef {Object} BlockButton
+ * @property {string} label
+ * @property {*} [value] - Sent back by `sendPostback`, for postback buttons
+ * @property {string} [url] - Opened by the app, for link buttons
+ */
+
+/**
+ * @typedef {Object} BlockCard
+ * @property {string} title
+ * @property {string} [subtitle]
+ * @property {string} [imageUrl]
+ * @property {BlockButton[]} buttons
+ */
+
+/**
+ * @typedef {Object} BlockFormField
+ * @property {string} name - Key of the field in the submitted value
+ * @property {string} label
+ * @property {string} type - e.g. 'text', 'email', 'number', 'textarea', 'select'
+ * @property {boolean} required
+ * @property {string} [placeholder]
+ * @property {BlockOption[]} [options] - Choices of select fields
+ */
+
+/**
+ * @typedef {Object} MessageBlock
+ * @property {string} id
+ * @property {'quickReplies' | 'buttons' | 'carousel' | 'form'} type
+ * @property {string} [text] - Shown above buttons, or as the title of a form
+ * @property {BlockOption[]} [options] - quickReplies only
+ * @property {BlockButton[]} [buttons] - buttons only
+ * @property {BlockCard[]} [cards] - carousel only
+ * @property {BlockFormField[]} [fields] - form only
+ * @property {string} [submitLabel] - form only
+ * @property {*} [submittedValue] - Set once answered with `sendPostback`
+ */
+
+const BLOCK_TYPES = {
+  quickReplies: 'quickReplies',
+  quick_replies: 'quickReplies',
+  buttons: 'buttons',
+  button_list: 'buttons',
+  carousel: 'carousel',
+  cards: 'carousel',
+  card: 'carousel',
+  form: 'form'
+}
+
+/**
+ * Normalize an option, given as a string or as an object
+ * @param {string | Object} raw
+ * @returns {BlockOption}
+ */
+function normalizeOption(raw) {
+  if (typeof raw !== 'object') {
+    return { label: String(raw), value: raw }
+  }
+  const label = raw.label ?? raw.title ?? raw.text ?? String(raw.value ?? raw.payload)
+  return { label, value: raw.value ?? raw.payload ?? label }
+}
+
+/**
+ * Normalize a button, given as a string or as an object
+ * @param {string | Object} raw
+ * @returns {BlockButton}
+ */
+function normalizeButton(raw) {
+  if (typeof raw === 'object' && raw.url) {
+    return { label: raw.label ?? raw.title ?? raw.text ?? raw.url, url: raw.url }
+  }
+  return normalizeOption(raw)
+}
+
+/**
+ * Normalize a card of a carousel
+ * @param {Object} raw
+ * @returns {BlockCard}
+ */
+function normalizeCard(raw) {
+  return {
+    title: raw.title ?? '',
+    subtitle: raw.subtitle ?? raw.description,
+    imageUrl: raw.imageUrl ?? raw.image,
+    buttons: (raw.buttons ?? []).map(normalizeButton)
+  }
+}
+
+/**
+ * Normalize a field of a form
+ * @param {Object} raw
+ * @returns {BlockFormField}
+ */
+function normalizeField(raw) {
+  return {
+    name: raw.name ?? raw.id,
+    label: raw.label ?? raw.name ?? raw.id,
+    type: raw.type ?? 'text',
+    required: Boolean(raw.required),
+    placeholder: raw.placeholder,
+    options: raw.options?.map(normalizeOption)
+  }
+}
+
+/**
+ * Normalize a block received from the server
+ * @param {Object} raw
+ * @param {string} id - Used when the server sent none
+ * @returns {MessageBlock | null} null for block types the SDK doesn't know
+ */
+function normalizeBlock(raw, id) {
+  const type = BLOCK_TYPES[raw.type]
+  const block = { id: raw.id ?? raw.blockId ?? id, type, text: raw.text ?? raw.title }
+
+  switch (type) {
+    case 'quickReplies':
+      return { ...block, options: (raw.options ?? raw.replies ?? []).map(normalizeOption) }
+    case 'buttons':
+      return { ...block, buttons: (raw.buttons ?? []).map(normalizeButton) }
+    case 'carousel':
+      return { ...block, text: raw.text, cards: (raw.cards ?? [raw]).map(normalizeCard) }
+    case 'form':
+      return {
+        ...block,
+        fields: (raw.fields ?? []).map(normalizeField),
+        submitLabel: raw.submitLabel ?? 'Submit'
+      }
+    default:
+      return null
+  }
+}
+
+/**
+ * Normalize the blocks of a message received from the server
+ * Also reads the `quickReplies` and `buttons` fields some servers send instead of blocks
+ * @param {Object} msg - Message from the history, the stream or the socket
+ * @param {string} [messageId] - Id of the chat message, blocks without an id get one from it
+ * @returns {MessageBlock[] | undefined} undefined when the message has none
+ */
+export function normalizeBlocks(msg, messageId = msg?.id) {
+  const raw = msg?.blocks ?? [
+    ...(msg?.quickReplies?.length ? [{ type: 'quickReplies', options: msg.quickReplies }] : []),
+    ...(msg?.buttons?.length ? [{ type: 'buttons', buttons: msg.buttons }] : [])
+  ]
+  const blocks = raw
+    .map((block, index) => normalizeBlock(block, `${messageId}:${index}`))
+    .filter(Boolean)
+  return blocks.length ? blocks : undefined
+}
+
+/**
+ * Describe the answer to a block, as the text of the user message sent for it
+ * @param {MessageBlock} block
+ * @param {*} value
+ * @returns {string}
+ */
+export function describePostback(block, value) {
+  if (block.type === 'form') {
+    return block.fields
+      .filter((field) => value?.[field.name] !== undefined && value[field.name] !== '')
+      .map((field) => `${field.label}: ${value[field.name]}`)
+      .join('\n')
+  }
+  const choices = [
+    ...(block.options ?? []),
+    ...(block.buttons ?? []),
+    ...(block.cards ?? []).flatMap((card) => card.buttons)
+  ]
+  return choices.find((choice) => choice.value === value)?.label ?? String(value)
+}
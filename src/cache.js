@@ -0,0 +1,394 @@
+/**
+ * Message Cache for Chat SDK
+ * Keeps the messages of recent sessions on the device, so resumed sessions render
+ * right away and past transcripts can be read offline
+ */
+
+import { MESSAGE_ROLES } from './constants.js'
+import { normalizeSession } from './sessions.js'
+
+const CACHE_DATABASE_NAME = 'origon-chat-sdk'
+const CACHE_STORE_NAME = 'sessions'
+const CACHE_MAX_SESSIONS = 20
+const CACHE_MAX_MESSAGES = 200
+const CACHE_MAX_AGE = 30 * 24 * 60 * 60 * 1000
+// Writes are batched, a streamed reply updates its message many times per second
+const CACHE_WRITE_DELAY = 500
+
+/**
+ * @typedef {Object} CachedSession
+ * @property {string} sessionId
+ * @property {Array} messages
+ * @property {number} updatedAt - Time of the last write, in ms since the epoch
+ */
+
+/**
+ * @typedef {Object} MessageCache
+ * @property {(sessionId: string) => Promise<CachedSession | null>} get
+ * @property {(session: CachedSession) => Promise<void>} set - Stores the session and evicts what
+ *   is over the limits
+ * @property {() => Promise<CachedSession[]>} list - Most recently updated first
+ * @property {(sessionId: string) => Promise<void>} remove
+ * @property {() => Promise<void>} clear
+ */
+
+/**
+ * @typedef {Object} MessageCacheOptions
+ * @property {string} [name='origon-chat-sdk'] - IndexedDB database name, e.g. to keep tenants apart
+ * @property {number} [maxSessions=20] - Sessions kept, the least recently updated are evicted
+ * @property {number} [maxMessages=200] - Messages kept per session, the oldest are dropped
+ * @property {number} [maxAge=2592000000] - Sessions not updated for this long (ms) are evicted
+ */
+
+/**
+ * Get the cache limits from the options
+ * @param {MessageCacheOptions} [options]
+ * @returns {{ maxSessions: number, maxMessages: number, maxAge: number }}
+ */
+function getCacheLimits(options) {
+  return {
+    maxSessions: options?.maxSessions ?? CACHE_MAX_SESSIONS,
+    maxMessages: options?.maxMessages ?? CACHE_MAX_MESSAGES,
+    maxAge: options?.maxAge ?? CACHE_MAX_AGE
+  }
+}
+
+/**
+ * Whether a cached session is older than the cache keeps them
+ * @param {CachedSession} session
+ * @param {{ maxAge: number }} limits
+ * @returns {boolean}
+ */
+function isExpired(session, limits) {
+  return session.updatedAt < Date.now() - limits.maxAge
+}
+
+/**
+ * Keep only the latest messages of a session
+ * @param {CachedSession} session
+ * @param {{ maxMessages: number }} limits
+ * @returns {CachedSession}
+ */
+function trimMessages(session, limits) {
+  return { ...session, messages: session.messages.slice(-limits.maxMessages) }
+}
+
+/**
+ * Check that an object implements the MessageCache interface
+ * @param {*} cache
+ * @returns {boolean}
+ */
+export function isMessageCache(cache) {
+  return ['get', 'set', 'list', 'remove', 'clear'].every(
+    (method) => typeof cache?.[method] === 'function'
+  )
+}
+
+/**
+ * Cache kept in memory, lost when the page is closed
+ * @param {MessageCacheOptions} [options]
+ * @returns {MessageCache}
+ */
+export function createMemoryCache(options) {
+  const limits = getCacheLimits(options)
+  /** @type {Map<string, CachedSession>} */
+  const sessions = new Map()
+
+  function getRecent() {
+    return [...sessions.values()].sort((a, b) => b.updatedAt - a.updatedAt)
+  }
+
+  return {
+    async get(sessionId) {
+      const session = sessions.get(sessionId)
+      return session && !isExpired(session, limits) ? session : null
+    },
+    async set(session) {
+      sessions.set(session.sessionId, trimMessages(session, limits))
+      getRecent().forEach((cached, index) => {
+        if (index >= limits.maxSessions || isExpired(cached, limits)) {
+          sessions.delete(cached.sessionId)
+        }
+      })
+    },
+    async list() {
+      return getRecent().filter((session) => !isExpired(session, limits))
+    },
+    async remove(sessionId) {
+      sessions.delete(sessionId)
+    },
+    async clear() {
+      sessions.clear()
+    }
+  }
+}
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function whenRequestDone(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Wait for an IndexedDB transaction to be committed
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function whenTransactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * Cache backed by IndexedDB, falling back to memory where IndexedDB is not available
+ * @param {MessageCacheOptions} [options]
+ * @returns {MessageCache}
+ */
+export function createIndexedDBCache(options) {
+  if (typeof indexedDB === 'undefined') {
+    return createMemoryCache(options)
+  }
+
+  const name = options?.name ?? CACHE_DATABASE_NAME
+  const limits = getCacheLimits(options)
+  /** @type {Promise<IDBDatabase> | undefined} */
+  let databasePromise
+
+  function getDatabase() {
+    if (!databasePromise) {
+      const request = indexedDB.open(name, 1)
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(CACHE_STORE_NAME, { keyPath: 'sessionId' })
+        store.createIndex('updatedAt', 'updatedAt')
+      }
+      databasePromise = whenRequestDone(request).catch((error) => {
+        // Opening may fail once, e.g. while another tab upgrades the database
+        databasePromise = undefined
+        throw error
+      })
+    }
+    return databasePromise
+  }
+
+  /**
+   * Run operations in a transaction and wait for it to be committed
+   * @param {IDBTransactionMode} mode
+   * @param {(store: IDBObjectStore) => IDBRequest | void} operation
+   * @returns {Promise<*>} Result of the request the operation returned
+   */
+  async function run(mode, operation) {
+    const transaction = (await getDatabase()).transaction(CACHE_STORE_NAME, mode)
+    const request = operation(transaction.objectStore(CACHE_STORE_NAME))
+    await whenTransactionDone(transaction)
+    return request?.result
+  }
+
+  return {
+    async get(sessionId) {
+      const session = await run('readonly', (store) => store.get(sessionId))
+      return session && !isExpired(session, limits) ? session : null
+    },
+    async set(session) {
+      await run('readwrite', (store) => {
+        store.put(trimMessages(session, limits))
+        // Walk from the most recently updated and evict what is over the limits
+        const cursorRequest = store.index('updatedAt').openCursor(null, 'prev')
+        let kept = 0
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result
+          if (!cursor) {
+            return
+          }
+          kept += 1
+          if (kept > limits.maxSessions || isExpired(cursor.value, limits)) {
+            cursor.delete()
+          }
+          cursor.continue()
+        }
+      })
+    },
+    async list() {
+      const sessions = await run('readonly', (store) => store.index('updatedAt').getAll())
+      return sessions.reverse().filter((session) => !isExpired(session, limits))
+    },
+    async remove(sessionId) {
+      await run('readwrite', (store) => {
+        store.delete(sessionId)
+      })
+    },
+    async clear() {
+      await run('readwrite', (store) => {
+        store.clear()
+      })
+    }
+  }
+}
+
+/**
+ * Whether a message is settled enough to be cached
+ * Replies being streamed are cached once done, unsent messages are persisted by the outbox
+ * @param {Object} msg
+ * @returns {boolean}
+ */
+function isCacheable(msg) {
+  return !msg.loading && !['queued', 'sending', 'failed'].includes(msg.status)
+}
+
+/**
+ * Create a cache service bound to a client
+ * Does nothing unless a cache is passed to `initialize`
+ * @param {import('./client.js').ClientContext} client - Services of the owning client
+ */
+export function createCacheService(client) {
+  /** @type {MessageCache | undefined} */
+  let defaultCache
+  /** @type {{ sessionId: string, messages: Array } | undefined} */
+  let pendingWrite
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let writeTimeout
+
+  /**
+   * Get the cache passed to `initialize`
+   * @returns {MessageCache | null}
+   */
+  function getCache() {
+    const cache = client.chat.getCredentials()?.cache
+    if (!cache) {
+      return null
+    }
+    if (cache === true) {
+      if (!defaultCache) {
+        defaultCache = createIndexedDBCache()
+      }
+      return defaultCache
+    }
+    return cache
+  }
+
+  /**
+   * Read the cached messages of a session
+   * @param {string} sessionId
+   * @returns {Promise<Array | null>} null when the session is not cached
+   */
+  async function load(sessionId) {
+    const cache = getCache()
+    if (!cache) {
+      return null
+    }
+    try {
+      const session = await cache.get(sessionId)
+      return session?.messages.length ? session.messages : null
+    } catch (error) {
+      client.logger.warn(`Unable to read cached messages: ${error.message}`)
+      return null
+    }
+  }
+
+  /**
+   * Write the pending messages now
+   * @returns {Promise<void>}
+   */
+  async function flush() {
+    clearTimeout(writeTimeout)
+    writeTimeout = undefined
+    const cache = getCache()
+    const write = pendingWrite
+    pendingWrite = undefined
+    if (!cache || !write) {
+      return
+    }
+    try {
+      await cache.set({
+        sessionId: write.sessionId,
+        messages: write.messages.filter(isCacheable),
+        updatedAt: Date.now()
+      })
+    } catch (error) {
+      client.logger.warn(`Unable to cache messages: ${error.message}`)
+    }
+  }
+
+  /**
+   * Cache the messages of a session, batched with the following changes
+   * @param {string} sessionId
+   * @param {Array} messages
+   */
+  function save(sessionId, messages) {
+    if (!getCache()) {
+      return
+    }
+    if (pendingWrite && pendingWrite.sessionId !== sessionId) {
+      flush()
+    }
+    pendingWrite = { sessionId, messages }
+    if (!writeTimeout) {
+      writeTimeout = setTimeout(flush, CACHE_WRITE_DELAY)
+      writeTimeout.unref?.()
+    }
+  }
+
+  /**
+   * Remove a session from the cache, e.g. once it was deleted
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  async function remove(sessionId) {
+    if (pendingWrite?.sessionId === sessionId) {
+      pendingWrite = undefined
+    }
+    await getCache()?.remove(sessionId)
+  }
+
+  /**
+   * List the cached sessions, for reading past transcripts offline
+   * @returns {Promise<import('./sessions.js').ChatSessionSummary[]>} Most recently updated first
+   */
+  async function getCachedSessions() {
+    const sessions = (await getCache()?.list()) ?? []
+    return sessions.map(({ sessionId, messages, updatedAt }) =>
+      normalizeSession({
+        sessionId,
+        firstMessage: messages.find((msg) => msg.role === MESSAGE_ROLES.USER),
+        lastMessage: messages[messages.length - 1],
+        updatedAt: new Date(updatedAt).toISOString()
+      })
+    )
+  }
+
+  /**
+   * Read the cached messages of a session, without going to the server
+   * @param {string} sessionId
+   * @returns {Promise<Array>}
+   */
+  async function getCachedMessages(sessionId) {
+    return (await getCache()?.get(sessionId))?.messages ?? []
+  }
+
+  /**
+   * Remove every cached session, e.g. on logout
+   * @returns {Promise<void>}
+   */
+  async function clearCache() {
+    pendingWrite = undefined
+    await getCache()?.clear()
+  }
+
+  return {
+    load,
+    save,
+    flush,
+    remove,
+    getCachedSessions,
+    getCachedMessages,
+    clearCache
+  }
+}
@@ -1,16 +1,17 @@
 /**
  * Socket Service for Call SDK
  * Handles WebRTC call functionality without depending on external state
- * Uses callbacks to communicate state changes to the consumer
+ * Uses events to communicate state changes to the consumer
  */
 
 import { getCallServerEndpoint } from './utils.js'
-import { getCredentials, getExternalId, updateSessionId } from './chat.js'
+import { SOCKET_STATES } from './constants.js'
+import { CallError, ChatSdkError, ERROR_CODES, MediaPermissionError } from './errors.js'
 
 /**
  * @typedef {Object} CallCallbacks
  * @property {(status: string) => void} [onCallStatus] - Called when call status changes
- * @property {(error: string | null) => void} [onCallError] - Called when call error occurs
+ * @property {(error: string | null, details: import('./errors.js').ChatSdkError | null) => void} [onCallError] - Called when call error occurs
  */
 
 /**
@@ -26,17 +27,15 @@ import { getCredentials, getExternalId, updateSessionId } from './chat.js'
  * @property {NodeJS.Timeout} [pingInterval]
  * @property {number} pingCount
  * @property {number | null} lastPongTime
- * @property {CallCallbacks} callbacks
  * @property {string[]} localIceCandidates - Queued local ICE candidates to send after remote description is set
  * @property {string[]} pendingRemoteIceCandidates - Queued remote ICE candidates to add after remote description is set
  */
 
 /**
  * Create a new call session
- * @param {CallCallbacks} [callbacks={}]
  * @returns {CallSession}
  */
-function createSession(callbacks = {}) {
+function createSession() {
   return {
     sessionId: undefined,
     socket: null,
@@ -49,574 +48,636 @@ function createSession(callbacks = {}) {
     pingInterval: null,
     pingCount: 0,
     lastPongTime: null,
-    callbacks,
     localIceCandidates: [],
     pendingRemoteIceCandidates: []
   }
 }
 
-/** @type {CallSession} */
-let currentSession = createSession()
+/**
+ * Tell why voice calls can't run in this environment, e.g. in Node or a WebView without WebRTC
+ * @returns {string | null} null when calls are supported
+ */
+function getCallSupportError() {
+  if (typeof document === 'undefined' || typeof window === 'undefined') {
+    return 'Voice calls require a browser environment (no DOM available)'
+  }
+  if (!navigator.mediaDevices?.getUserMedia) {
+    return 'Voice calls require microphone access (navigator.mediaDevices is not available)'
+  }
+  if (typeof RTCPeerConnection === 'undefined') {
+    return 'Voice calls require WebRTC support (RTCPeerConnection is not available)'
+  }
+  return null
+}
 
 const rtcConfig = {
   iceServers: [{ urls: 'stun:stun.l.google.com:19302' }, { urls: 'stun:stun1.l.google.com:19302' }]
 }
 
 /**
- * Set callbacks for the current session
- * @param {CallCallbacks} callbacks
- */
-export function setCallCallbacks(callbacks) {
-  currentSession.callbacks = { ...currentSession.callbacks, ...callbacks }
-}
-
-/**
- * Clean up the current session
+ * Create a call service that keeps its own call session
+ * @param {import('./client.js').ClientContext} client - Services of the owning client
  */
-function cleanup() {
-  if (currentSession.peerConnection) {
-    currentSession.peerConnection.close()
-    currentSession.peerConnection = null
+export function createCallService(client) {
+  /** @type {CallSession} */
+  let currentSession = createSession()
+
+  /**
+   * Set callbacks for call events
+   * Kept for compatibility, each callback replaces the previous one; use `on` for multiple listeners
+   * @param {CallCallbacks} callbacks
+   */
+  function setCallCallbacks(callbacks) {
+    client.events.setCallbacks(callbacks)
   }
 
-  if (currentSession.localStream) {
-    currentSession.localStream.getTracks().forEach((track) => track.stop())
-    currentSession.localStream = null
-  }
+  /**
+   * Clean up the current session
+   */
+  function cleanup() {
+    if (currentSession.peerConnection) {
+      currentSession.peerConnection.close()
+      currentSession.peerConnection = null
+    }
 
-  if (currentSession.remoteStream) {
-    currentSession.remoteStream = null
-  }
+    if (currentSession.localStream) {
+      currentSession.localStream.getTracks().forEach((track) => track.stop())
+      currentSession.localStream = null
+    }
 
-  if (currentSession.remoteAudio) {
-    currentSession.remoteAudio.srcObject = null
-    if (currentSession.remoteAudio.parentNode) {
-      currentSession.remoteAudio.parentNode.removeChild(currentSession.remoteAudio)
+    if (currentSession.remoteStream) {
+      currentSession.remoteStream = null
     }
-    currentSession.remoteAudio = null
-  }
 
-  if (currentSession.socket) {
-    currentSession.socket.close()
-    currentSession.socket = null
-  }
+    if (currentSession.remoteAudio) {
+      currentSession.remoteAudio.srcObject = null
+      if (currentSession.remoteAudio.parentNode) {
+        currentSession.remoteAudio.parentNode.removeChild(currentSession.remoteAudio)
+      }
+      currentSession.remoteAudio = null
+    }
 
-  stopPingInterval()
+    if (currentSession.socket) {
+      currentSession.socket.close()
+      currentSession.socket = null
+    }
 
-  const callbacks = currentSession.callbacks
-  currentSession = createSession(callbacks)
+    stopPingInterval()
 
-  console.log('Call session cleaned up')
-}
+    currentSession = createSession()
 
-/**
- * Update call status and notify callback
- * @param {string} status
- */
-function setCallStatus(status) {
-  currentSession.callStatus = status
-  currentSession.callbacks.onCallStatus?.(status)
-}
+    client.logger.debug('Call session cleaned up')
+  }
 
-/**
- * Update call error and notify callback
- * @param {string | null} error
- */
-function setCallError(error) {
-  currentSession.callbacks.onCallError?.(error)
-}
+  /**
+   * Update call status and notify callback
+   * @param {string} status
+   */
+  function setCallStatus(status) {
+    currentSession.callStatus = status
+    client.events.emit('callStatus', status)
+  }
 
-/**
- * Stop ping interval
- */
-function stopPingInterval() {
-  if (currentSession.pingInterval) {
-    clearInterval(currentSession.pingInterval)
-    currentSession.pingInterval = null
+  /**
+   * Update call error and notify callback
+   * Handlers get the message first, as they always did, and the error itself second
+   * @param {ChatSdkError | null} error
+   */
+  function setCallError(error) {
+    client.events.emit('callError', error?.message ?? null, error)
   }
-}
 
-/**
- * Start ping interval
- */
-function startPingInterval() {
-  stopPingInterval()
-
-  currentSession.pingInterval = setInterval(() => {
-    if (currentSession.socket && currentSession.socket.readyState === WebSocket.OPEN) {
-      currentSession.pingCount++
-      const pingMessage = {
-        type: 'ping',
-        timestamp: Date.now(),
-        count: currentSession.pingCount
-      }
-      sendEvent(pingMessage)
-      console.log(`Sending keep-alive ping #${currentSession.pingCount}`)
-    } else {
-      console.log('Socket not open, stopping ping interval')
-      stopPingInterval()
+  /**
+   * Stop ping interval
+   */
+  function stopPingInterval() {
+    if (currentSession.pingInterval) {
+      clearInterval(currentSession.pingInterval)
+      currentSession.pingInterval = null
     }
-  }, 10000)
-}
-
-/**
- * Handle pong response
- */
-function handlePong() {
-  currentSession.lastPongTime = Date.now()
-  console.log(`Received pong #${currentSession.pingCount}`)
-}
+  }
 
-/**
- * Send event through socket
- * @param {Object} payload
- */
-function sendEvent(payload) {
-  if (!currentSession.socket) {
-    console.error('Failed to send event: no socket instance')
-    return
+  /**
+   * Start ping interval
+   */
+  function startPingInterval() {
+    stopPingInterval()
+
+    currentSession.pingInterval = setInterval(() => {
+      if (currentSession.socket && currentSession.socket.readyState === SOCKET_STATES.OPEN) {
+        currentSession.pingCount++
+        const pingMessage = {
+          type: 'ping',
+          timestamp: Date.now(),
+          count: currentSession.pingCount
+        }
+        sendEvent(pingMessage)
+        client.logger.debug(`Sending keep-alive ping #${currentSession.pingCount}`)
+      } else {
+        client.logger.debug('Socket not open, stopping ping interval')
+        stopPingInterval()
+      }
+    }, 10000)
   }
-  if (currentSession.socket.readyState !== WebSocket.OPEN) {
-    console.error('Failed to send event: socket state not open ', payload)
-    return
+
+  /**
+   * Handle pong response
+   */
+  function handlePong() {
+    currentSession.lastPongTime = Date.now()
+    client.logger.debug(`Received pong #${currentSession.pingCount}`)
   }
 
-  currentSession.socket.send(JSON.stringify(payload))
-}
+  /**
+   * Send event through socket
+   * @param {Object} payload
+   */
+  function sendEvent(payload) {
+    if (!currentSession.socket) {
+      client.logger.error('Failed to send event: no socket instance')
+      return
+    }
+    if (currentSession.socket.readyState !== SOCKET_STATES.OPEN) {
+      client.logger.error('Failed to send event: socket state not open ', payload)
+      return
+    }
 
-/**
- * Get user media
- */
-async function getUserMedia() {
-  try {
-    currentSession.localStream = await navigator.mediaDevices.getUserMedia({
-      audio: true,
-      video: false
-    })
-    console.log('Got audio media')
-  } catch (error) {
-    console.error(`Failed to get audio media: ${error.message}`)
-    throw error
+    currentSession.socket.send(JSON.stringify(payload))
   }
-}
 
-/**
- * Create peer connection
- */
-function createPeerConnection() {
-  currentSession.peerConnection = new RTCPeerConnection(rtcConfig)
-
-  currentSession.peerConnection.onicecandidate = (event) => {
-    if (event.candidate) {
-      const candidateJson = JSON.stringify(event.candidate)
-      // Queue local ICE candidates until remote description is set
-      if (currentSession.peerConnection && currentSession.peerConnection.remoteDescription) {
-        sendEvent({
-          type: 'ice',
-          data: {
-            candidate: candidateJson
-          }
-        })
-        console.log('Sent ICE candidate immediately')
-      } else {
-        currentSession.localIceCandidates.push(candidateJson)
-        console.log('Queued local ICE candidate')
+  /**
+   * Get user media
+   */
+  async function getUserMedia() {
+    try {
+      currentSession.localStream = await navigator.mediaDevices.getUserMedia({
+        audio: true,
+        video: false
+      })
+      client.logger.debug('Got audio media')
+    } catch (error) {
+      client.logger.error(`Failed to get audio media: ${error.message}`)
+      if (['NotAllowedError', 'SecurityError', 'PermissionDeniedError'].includes(error.name)) {
+        throw new MediaPermissionError('Microphone access was denied', { cause: error })
       }
+      throw new CallError('Microphone is not available', {
+        code: ERROR_CODES.MEDIA_UNAVAILABLE,
+        cause: error
+      })
     }
   }
 
-  currentSession.peerConnection.ontrack = (event) => {
-    console.log('Received remote audio stream')
-    currentSession.remoteStream = event.streams[0]
-
-    if (!currentSession.remoteAudio) {
-      currentSession.remoteAudio = document.createElement('audio')
-      currentSession.remoteAudio.autoplay = true
-      currentSession.remoteAudio.controls = false
-      document.body.appendChild(currentSession.remoteAudio)
+  /**
+   * Create peer connection
+   */
+  function createPeerConnection() {
+    currentSession.peerConnection = new RTCPeerConnection(rtcConfig)
+
+    currentSession.peerConnection.onicecandidate = (event) => {
+      if (event.candidate) {
+        const candidateJson = JSON.stringify(event.candidate)
+        // Queue local ICE candidates until remote description is set
+        if (currentSession.peerConnection && currentSession.peerConnection.remoteDescription) {
+          sendEvent({
+            type: 'ice',
+            data: {
+              candidate: candidateJson
+            }
+          })
+          client.logger.debug('Sent ICE candidate immediately')
+        } else {
+          currentSession.localIceCandidates.push(candidateJson)
+          client.logger.debug('Queued local ICE candidate')
+        }
+      }
     }
-    currentSession.remoteAudio.srcObject = currentSession.remoteStream
-    // explicitly kick off playback and catch any policy/gesture errors
-    currentSession.remoteAudio
-      .play()
-      .then(() => console.log('🔊 remote audio playing'))
-      .catch((err) => console.error('❌ playback error:', err))
-  }
 
-  currentSession.peerConnection.onconnectionstatechange = () => {
-    const newState = currentSession.peerConnection.connectionState
-    console.log(`Connection state: ${newState}`)
+    currentSession.peerConnection.ontrack = (event) => {
+      client.logger.debug('Received remote audio stream')
+      currentSession.remoteStream = event.streams[0]
 
-    if (newState === 'connected') {
-      setCallStatus('connected')
-    } else if (newState === 'disconnected' || newState === 'closed') {
-      setCallStatus('disconnected')
-      disconnectCall()
+      if (!currentSession.remoteAudio) {
+        currentSession.remoteAudio = document.createElement('audio')
+        currentSession.remoteAudio.autoplay = true
+        currentSession.remoteAudio.controls = false
+        document.body.appendChild(currentSession.remoteAudio)
+      }
+      currentSession.remoteAudio.srcObject = currentSession.remoteStream
+      // explicitly kick off playback and catch any policy/gesture errors
+      currentSession.remoteAudio
+        .play()
+        .then(() => client.logger.debug('🔊 remote audio playing'))
+        .catch((err) => client.logger.error('❌ playback error:', err))
     }
-  }
 
-  currentSession.peerConnection.oniceconnectionstatechange = () => {
-    console.log(`ICE connection state: ${currentSession.peerConnection.iceConnectionState}`)
-  }
-}
+    currentSession.peerConnection.onconnectionstatechange = () => {
+      const newState = currentSession.peerConnection.connectionState
+      client.logger.debug(`Connection state: ${newState}`)
 
-/**
- * Connect socket
- * @param {{ sessionId?: string }} payload
- */
-function connectSocket(payload) {
-  return new Promise((fulfill, reject) => {
-    if (
-      currentSession.socket &&
-      (currentSession.socket.readyState === WebSocket.CONNECTING ||
-        currentSession.socket.readyState === WebSocket.OPEN)
-    ) {
-      console.log('Socket in connecting/open state, returning.')
-      fulfill(currentSession.socket.readyState === WebSocket.OPEN)
-      return
+      if (newState === 'connected') {
+        setCallStatus('connected')
+      } else if (newState === 'disconnected' || newState === 'closed') {
+        setCallStatus('disconnected')
+        disconnectCall()
+      }
     }
 
-    console.log('Initializing socket connection..')
-    const credentials = getCredentials()
-    if (!credentials || !credentials.endpoint) {
-      reject(new Error('SDK not initialized. Please initialize SDK first.'))
-      return
+    currentSession.peerConnection.oniceconnectionstatechange = () => {
+      client.logger.debug(
+        `ICE connection state: ${currentSession.peerConnection.iceConnectionState}`
+      )
     }
+  }
+
+  /**
+   * Connect socket
+   * @param {{ sessionId?: string }} payload
+   */
+  async function connectSocket(payload) {
+    // Resolved up front, so checking the socket state and opening it happen without a gap
+    const externalId = await client.chat.getExternalId()
+    const token = await client.auth.getToken()
+
+    return new Promise((fulfill, reject) => {
+      if (
+        currentSession.socket &&
+        (currentSession.socket.readyState === SOCKET_STATES.CONNECTING ||
+          currentSession.socket.readyState === SOCKET_STATES.OPEN)
+      ) {
+        client.logger.debug('Socket in connecting/open state, returning.')
+        fulfill(currentSession.socket.readyState === SOCKET_STATES.OPEN)
+        return
+      }
 
-    // Extract hostname from endpoint
-    const socketEndpoint = getCallServerEndpoint(credentials.endpoint)
-    if (!socketEndpoint) {
-      reject(
-        new Error(
-          'Invalid endpoint while initializing SDK. Please check the endpoint and try again.'
+      client.logger.debug('Initializing socket connection..')
+      const credentials = client.chat.getCredentials()
+      if (!credentials || !credentials.endpoint) {
+        reject(
+          new ChatSdkError('SDK not initialized. Please initialize SDK first.', {
+            code: ERROR_CODES.NOT_INITIALIZED
+          })
         )
-      )
-      return
-    }
+        return
+      }
 
-    const externalId = getExternalId()
-    const queryParams = new URLSearchParams({
-      externalId
-    })
-    if (payload.sessionId) {
-      queryParams.set('sessionId', payload.sessionId)
-    }
-    if (credentials.token) {
-      queryParams.set('token', credentials.token)
-    }
+      // Extract hostname from endpoint
+      const socketEndpoint = getCallServerEndpoint(credentials.endpoint)
+      if (!socketEndpoint) {
+        reject(
+          new ChatSdkError(
+            'Invalid endpoint while initializing SDK. Please check the endpoint and try again.',
+            { code: ERROR_CODES.INVALID_CONFIG }
+          )
+        )
+        return
+      }
 
-    const socketUrl = `${socketEndpoint}?${queryParams.toString()}`
-    currentSession.socket = new WebSocket(socketUrl)
+      const queryParams = new URLSearchParams({
+        externalId
+      })
+      if (payload.sessionId) {
+        queryParams.set('sessionId', payload.sessionId)
+      }
+      if (token) {
+        queryParams.set('token', token)
+      }
 
-    currentSession.socket.onopen = (event) => {
-      console.log('Socket connection established: ', event)
-      startPingInterval()
-      fulfill(true)
-    }
+      const socketUrl = `${socketEndpoint}?${queryParams.toString()}`
+      const WebSocketImpl = client.chat.getWebSocket()
+      currentSession.socket = new WebSocketImpl(socketUrl)
 
-    currentSession.socket.onmessage = (event) => {
-      const data = JSON.parse(event.data)
-      handleCallServerEvent(data)
-    }
+      currentSession.socket.onopen = (event) => {
+        client.logger.info('Call socket connection established')
+        startPingInterval()
+        fulfill(true)
+      }
 
-    currentSession.socket.onerror = (error) => {
-      console.error('Socket error: ', error)
-      setCallStatus('error')
-      setCallError(error.message || 'Unable to connect voice')
-      reject(error)
-    }
+      currentSession.socket.onmessage = (event) => {
+        const data = JSON.parse(event.data)
+        handleCallServerEvent(data)
+      }
 
-    currentSession.socket.onclose = (event) => {
-      console.log('Socket connection closed: ', event)
-      stopPingInterval()
-    }
-  })
-}
+      currentSession.socket.onerror = (event) => {
+        client.logger.error('Socket error: ', event)
+        const error = new CallError(event.message || 'Unable to connect voice', {
+          retryable: true,
+          cause: event
+        })
+        setCallStatus('error')
+        setCallError(error)
+        reject(error)
+      }
 
-/**
- * Handle call server event
- * @param {Object} action
- */
-function handleCallServerEvent(action) {
-  console.log('Handling socket server event: ', action)
-
-  switch (action.type) {
-    case 'pong':
-      handlePong()
-      break
-
-    case 'answer':
-      handleAnswer(action.data)
-      break
-
-    case 'ice':
-      handleIceCandidate(action.data)
-      break
-
-    case 'renegotiationOffer':
-      handleRenegotiationOffer(action.data)
-      break
-    case 'end':
-      disconnectCall()
-      break
-    case 'error':
-      setCallStatus('error')
-      setCallError(action.error || 'Unable to connect voice')
-      break
+      currentSession.socket.onclose = (event) => {
+        client.logger.info('Call socket connection closed: ', event.code, event.reason)
+        stopPingInterval()
+      }
+    })
+  }
 
-    default:
-      console.log('Unknown call event type: ', action.type)
-      break
+  /**
+   * Handle call server event
+   * @param {Object} action
+   */
+  function handleCallServerEvent(action) {
+    client.logger.debug('Handling call server event: ', action.type)
+
+    switch (action.type) {
+      case 'pong':
+        handlePong()
+        break
+
+      case 'answer':
+        handleAnswer(action.data)
+        break
+
+      case 'ice':
+        handleIceCandidate(action.data)
+        break
+
+      case 'renegotiationOffer':
+        handleRenegotiationOffer(action.data)
+        break
+      case 'end':
+        disconnectCall()
+        break
+      case 'error':
+        setCallStatus('error')
+        setCallError(new CallError(action.error || 'Unable to connect voice'))
+        break
+
+      default:
+        client.logger.debug('Unknown call event type: ', action.type)
+        break
+    }
   }
-}
 
-/**
- * Handle answer
- * @param {Object} data
- */
-async function handleAnswer(data) {
-  try {
-    console.log('Received answer')
+  /**
+   * Handle answer
+   * @param {Object} data
+   */
+  async function handleAnswer(data) {
+    try {
+      client.logger.debug('Received answer')
+
+      currentSession.sessionId = data.sessionId
+      // Update chat session with the new sessionId and notify controller
+      client.chat.updateSessionId(data.sessionId)
+
+      if (currentSession.peerConnection) {
+        const answer = new RTCSessionDescription({
+          type: 'answer',
+          sdp: data.sdp
+        })
+        client.logger.debug('Setting remote description answer')
+        await currentSession.peerConnection.setRemoteDescription(answer)
+        client.logger.debug('Remote description set')
+
+        // Send all queued local ICE candidates
+        for (const candidateJson of currentSession.localIceCandidates) {
+          sendEvent({
+            type: 'ice',
+            data: {
+              candidate: candidateJson
+            }
+          })
+          client.logger.debug('Sent queued local ICE candidate')
+        }
+        currentSession.localIceCandidates = []
+
+        // Process any pending remote ICE candidates
+        for (const candidateJson of currentSession.pendingRemoteIceCandidates) {
+          try {
+            const candidate = new RTCIceCandidate(JSON.parse(candidateJson))
+            await currentSession.peerConnection.addIceCandidate(candidate)
+            client.logger.debug('Added pending remote ICE candidate')
+          } catch (err) {
+            client.logger.error(`Failed to add pending ICE candidate: ${err.message}`)
+          }
+        }
+        currentSession.pendingRemoteIceCandidates = []
+      }
+    } catch (error) {
+      client.logger.error(`Failed to handle answer: ${error.message}`)
+    }
+  }
 
-    currentSession.sessionId = data.sessionId
-    // Update chat session with the new sessionId and notify controller
-    updateSessionId(data.sessionId)
+  /**
+   * Handle ICE candidate
+   * @param {Object} data
+   */
+  async function handleIceCandidate(data) {
+    try {
+      if (currentSession.peerConnection) {
+        // Check if remote description is set
+        if (!currentSession.peerConnection.remoteDescription) {
+          // Queue the candidate until remote description is set
+          currentSession.pendingRemoteIceCandidates.push(data.candidate)
+          client.logger.debug('Queued remote ICE candidate - remote description not set')
+          return
+        }
+        const candidate = new RTCIceCandidate(JSON.parse(data.candidate))
+        await currentSession.peerConnection.addIceCandidate(candidate)
+        client.logger.debug('Added ICE candidate')
+      }
+    } catch (error) {
+      client.logger.error(`Failed to add ICE candidate: ${error.message}`)
+    }
+  }
 
-    if (currentSession.peerConnection) {
-      const answer = new RTCSessionDescription({
-        type: 'answer',
-        sdp: data.sdp
-      })
-      console.log('Setting remote description answer: ', answer)
-      await currentSession.peerConnection.setRemoteDescription(answer)
-      console.log('Remote description set')
+  /**
+   * Handle renegotiation offer
+   * @param {Object} data
+   */
+  async function handleRenegotiationOffer(data) {
+    try {
+      client.logger.debug('Received renegotiation offer')
+
+      if (currentSession.peerConnection) {
+        const offer = new RTCSessionDescription({
+          type: 'offer',
+          sdp: data.sdp
+        })
+        client.logger.debug('Setting remote description offer')
+        await currentSession.peerConnection.setRemoteDescription(offer)
+        client.logger.debug('Remote description set')
+
+        const answer = await currentSession.peerConnection.createAnswer()
+        await currentSession.peerConnection.setLocalDescription(answer)
 
-      // Send all queued local ICE candidates
-      for (const candidateJson of currentSession.localIceCandidates) {
         sendEvent({
-          type: 'ice',
+          type: 'renegotiationAnswer',
           data: {
-            candidate: candidateJson
+            sdp: answer.sdp
           }
         })
-        console.log('Sent queued local ICE candidate')
-      }
-      currentSession.localIceCandidates = []
-
-      // Process any pending remote ICE candidates
-      for (const candidateJson of currentSession.pendingRemoteIceCandidates) {
-        try {
-          const candidate = new RTCIceCandidate(JSON.parse(candidateJson))
-          await currentSession.peerConnection.addIceCandidate(candidate)
-          console.log('Added pending remote ICE candidate')
-        } catch (err) {
-          console.error(`Failed to add pending ICE candidate: ${err.message}`)
-        }
       }
-      currentSession.pendingRemoteIceCandidates = []
+    } catch (error) {
+      client.logger.error(`Failed to handle renegotiation offer: ${error.message}`)
     }
-  } catch (error) {
-    console.error(`Failed to handle answer: ${error.message}`)
   }
-}
 
-/**
- * Handle ICE candidate
- * @param {Object} data
- */
-async function handleIceCandidate(data) {
-  try {
-    if (currentSession.peerConnection) {
-      // Check if remote description is set
-      if (!currentSession.peerConnection.remoteDescription) {
-        // Queue the candidate until remote description is set
-        currentSession.pendingRemoteIceCandidates.push(data.candidate)
-        console.log('Queued remote ICE candidate - remote description not set')
+  /**
+   * Start a call
+   * @param {{ sessionId?: string }} payload
+   */
+  async function startCall(payload = {}) {
+    try {
+      if (currentSession.callStatus === 'connecting' || currentSession.callStatus === 'connected') {
+        client.logger.debug(`Call already in ${currentSession.callStatus} state`)
         return
       }
-      const candidate = new RTCIceCandidate(JSON.parse(data.candidate))
-      await currentSession.peerConnection.addIceCandidate(candidate)
-      console.log('Added ICE candidate')
-    }
-  } catch (error) {
-    console.error(`Failed to add ICE candidate: ${error.message}`)
-  }
-}
 
-/**
- * Handle renegotiation offer
- * @param {Object} data
- */
-async function handleRenegotiationOffer(data) {
-  try {
-    console.log('Received renegotiation offer')
+      const supportError = getCallSupportError()
+      if (supportError) {
+        throw new CallError(supportError, { code: ERROR_CODES.CALL_UNSUPPORTED })
+      }
 
-    if (currentSession.peerConnection) {
-      const offer = new RTCSessionDescription({
-        type: 'offer',
-        sdp: data.sdp
-      })
-      console.log('Setting remote description offer: ', offer)
-      await currentSession.peerConnection.setRemoteDescription(offer)
-      console.log('Remote description set')
+      client.logger.debug('Starting audio call...')
+      setCallStatus('connecting')
+      setCallError(null)
 
-      const answer = await currentSession.peerConnection.createAnswer()
-      await currentSession.peerConnection.setLocalDescription(answer)
+      currentSession.sessionId = payload.sessionId
+
+      await getUserMedia()
+
+      createPeerConnection()
+
+      currentSession.localStream.getTracks().forEach((track) => {
+        currentSession.peerConnection.addTrack(track, currentSession.localStream)
+        client.logger.debug(`Added ${track.kind} track`)
+      })
+      await connectSocket(payload)
+      const offer = await currentSession.peerConnection.createOffer()
+      await currentSession.peerConnection.setLocalDescription(offer)
 
       sendEvent({
-        type: 'renegotiationAnswer',
+        type: 'offer',
         data: {
-          sdp: answer.sdp
+          sdp: offer.sdp
         }
       })
-    }
-  } catch (error) {
-    console.error(`Failed to handle renegotiation offer: ${error.message}`)
-  }
-}
 
-/**
- * Start a call
- * @param {{ sessionId?: string }} payload
- */
-export async function startCall(payload = {}) {
-  try {
-    if (currentSession.callStatus === 'connecting' || currentSession.callStatus === 'connected') {
-      console.log(`Call already in ${currentSession.callStatus} state`)
-      return
+      client.logger.info('Call initiated successfully')
+    } catch (error) {
+      client.logger.error(`Failed to start call: ${error.message}`)
+      setCallStatus('error')
+      setCallError(
+        error instanceof ChatSdkError
+          ? error
+          : new CallError(error.message || 'Unable to connect voice', { cause: error })
+      )
+      cleanup()
     }
+  }
 
-    console.log('Starting audio call...')
-    setCallStatus('connecting')
-    setCallError(null)
-
-    currentSession.sessionId = payload.sessionId
-
-    await getUserMedia()
-
-    createPeerConnection()
-
-    currentSession.localStream.getTracks().forEach((track) => {
-      currentSession.peerConnection.addTrack(track, currentSession.localStream)
-      console.log(`Added ${track.kind} track`)
-    })
-    await connectSocket(payload)
-    const offer = await currentSession.peerConnection.createOffer()
-    await currentSession.peerConnection.setLocalDescription(offer)
-
+  /**
+   * Disconnect call
+   */
+  function disconnectCall() {
     sendEvent({
-      type: 'offer',
-      data: {
-        sdp: offer.sdp
-      }
+      type: 'end'
     })
-
-    console.log('Call initiated successfully')
-  } catch (error) {
-    console.log('error: ', error)
-    console.error(`Failed to start call: ${error.message}`)
-    setCallStatus('error')
-    setCallError(error.message || 'Unable to connect voice')
+    if (currentSession.socket) {
+      currentSession.socket.close()
+      currentSession.socket = null
+    }
+    setCallStatus('disconnected')
+    if (currentSession.peerConnection) {
+      currentSession.peerConnection.close()
+      currentSession.peerConnection = null
+    }
+    if (currentSession.localStream) {
+      currentSession.localStream.getTracks().forEach((track) => track.stop())
+      currentSession.localStream = null
+    }
     cleanup()
   }
-}
 
-/**
- * Disconnect call
- */
-export function disconnectCall() {
-  sendEvent({
-    type: 'end'
-  })
-  if (currentSession.socket) {
-    currentSession.socket.close()
-    currentSession.socket = null
-  }
-  setCallStatus('disconnected')
-  if (currentSession.peerConnection) {
-    currentSession.peerConnection.close()
-    currentSession.peerConnection = null
-  }
-  if (currentSession.localStream) {
-    currentSession.localStream.getTracks().forEach((track) => track.stop())
-    currentSession.localStream = null
-  }
-  cleanup()
-}
-
-/**
- * Toggle mute
- * @returns {boolean}
- */
-export function toggleMute() {
-  if (currentSession.localStream) {
-    const audioTrack = currentSession.localStream.getAudioTracks()[0]
-    if (audioTrack) {
-      audioTrack.enabled = !audioTrack.enabled
-      currentSession.isMuted = !audioTrack.enabled
-      console.log(`Audio ${currentSession.isMuted ? 'muted' : 'unmuted'}`)
-      return currentSession.isMuted
+  /**
+   * Toggle mute
+   * @returns {boolean}
+   */
+  function toggleMute() {
+    if (currentSession.localStream) {
+      const audioTrack = currentSession.localStream.getAudioTracks()[0]
+      if (audioTrack) {
+        audioTrack.enabled = !audioTrack.enabled
+        currentSession.isMuted = !audioTrack.enabled
+        client.logger.debug(`Audio ${currentSession.isMuted ? 'muted' : 'unmuted'}`)
+        return currentSession.isMuted
+      }
     }
+    return false
   }
-  return false
-}
 
-/**
- * Get local stream
- * @returns {MediaStream | null}
- */
-export function getLocalStream() {
-  return currentSession.localStream
-}
+  /**
+   * Get local stream
+   * @returns {MediaStream | null}
+   */
+  function getLocalStream() {
+    return currentSession.localStream
+  }
 
-/**
- * Get inbound audio energy
- * @returns {Promise<number>}
- */
-export function getInboundAudioEnergy() {
-  return new Promise((resolve, reject) => {
-    if (!currentSession.peerConnection) {
-      reject(new Error('no peer connection'))
-      return
-    }
-    currentSession.peerConnection
-      .getStats()
-      .then((stats) => {
-        stats.forEach((report) => {
-          if (report.type == 'inbound-rtp') {
-            resolve(report.totalAudioEnergy)
-          }
+  /**
+   * Get inbound audio energy
+   * @returns {Promise<number>}
+   */
+  function getInboundAudioEnergy() {
+    return new Promise((resolve, reject) => {
+      if (!currentSession.peerConnection) {
+        reject(new CallError('no peer connection'))
+        return
+      }
+      currentSession.peerConnection
+        .getStats()
+        .then((stats) => {
+          stats.forEach((report) => {
+            if (report.type == 'inbound-rtp') {
+              resolve(report.totalAudioEnergy)
+            }
+          })
+          reject(new CallError('no inbound-rtp stats found'))
         })
-        reject(new Error('no inbound-rtp stats found'))
-      })
-      .catch((err) => {
-        reject(err)
-      })
-  })
-}
+        .catch((err) => {
+          reject(new CallError(err.message, { cause: err }))
+        })
+    })
+  }
 
-/**
- * Get outbound audio energy (not implemented in original, but may be needed)
- * @returns {Promise<number>}
- */
-export function getOutboundAudioEnergy() {
-  return new Promise((resolve, reject) => {
-    if (!currentSession.peerConnection) {
-      reject(new Error('no peer connection'))
-      return
-    }
-    currentSession.peerConnection
-      .getStats()
-      .then((stats) => {
-        stats.forEach((report) => {
-          if (report.type == 'outbound-rtp') {
-            resolve(report.totalAudioEnergy)
-          }
+  /**
+   * Get outbound audio energy (not implemented in original, but may be needed)
+   * @returns {Promise<number>}
+   */
+  function getOutboundAudioEnergy() {
+    return new Promise((resolve, reject) => {
+      if (!currentSession.peerConnection) {
+        reject(new CallError('no peer connection'))
+        return
+      }
+      currentSession.peerConnection
+        .getStats()
+        .then((stats) => {
+          stats.forEach((report) => {
+            if (report.type == 'outbound-rtp') {
+              resolve(report.totalAudioEnergy)
+            }
+          })
+          reject(new CallError('no outbound-rtp stats found'))
         })
-        reject(new Error('no outbound-rtp stats found'))
-      })
-      .catch((err) => {
-        reject(err)
-      })
-  })
+        .catch((err) => {
+          reject(new CallError(err.message, { cause: err }))
+        })
+    })
+  }
+
+  return {
+    setCallCallbacks,
+    startCall,
+    disconnectCall,
+    toggleMute,
+    getLocalStream,
+    getInboundAudioEnergy,
+    getOutboundAudioEnergy
+  }
 }
@@ -1,26 +1,52 @@
 /**
  * Chat Service for Chat SDK
  * Handles real-time chat functionality without depending on external state
- * Uses callbacks to communicate state changes to the consumer
+ * Uses events to communicate state changes to the consumer
  */
 
-import { fetchEventSource } from '@microsoft/fetch-event-source'
-import { getMessages, authenticate } from './http.js'
-import { getDeviceId, sleep } from './utils.js'
+import { authenticate } from './http.js'
+import { streamEvents } from './sse.js'
+import { getBackoffDelay, getDeviceId, sleep, uuidv7 } from './utils.js'
 import { MESSAGE_ROLES } from './constants.js'
+import { createDefaultStorage, isStorageAdapter } from './storage.js'
+import { isMessageCache } from './cache.js'
+import { SocketEvents } from './socket.js'
+import { describePostback, normalizeBlocks } from './blocks.js'
+import { appendCitations, getCitations, mergeSources } from './sources.js'
+import { normalizeFeedback, normalizeRating } from './feedback.js'
 import {
-  connectSocket,
-  send as socketSend,
-  disconnect as disconnectSocket,
-  isConnected as isSocketConnected
-} from './socket.js'
+  getAttachmentPolicy,
+  normalizeAttachments,
+  toAttachmentRef,
+  validateAttachments
+} from './attachments.js'
+import {
+  AuthError,
+  ChatSdkError,
+  ERROR_CODES,
+  NetworkError,
+  TransportError,
+  createResponseError
+} from './errors.js'
 
 /**
  * @typedef {Object} ChatCallbacks
  * @property {(message: Object) => void} [onMessageAdd] - Called when a new message is added
  * @property {(index: number, updatedMsg: Object) => void} [onMessageUpdate] - Called when an existing message is updated
+ * @property {(id: string, appendedText: string) => void} [onMessageDelta] - Called when text is appended to a streamed reply, before onMessageUpdate
+ * @property {(messages: Array) => void} [onMessagesPrepend] - Called when older messages are loaded before the others
+ * @property {(messages: Array) => void} [onMessagesSync] - Called when cached messages are replaced by the server's
  * @property {(sessionId: string) => void} [onSessionUpdate] - Called when session ID is updated
  * @property {(transport: TransportType) => void} [onTransportUpdate] - Called when transport type changes
+ * @property {(isLiveAgent: boolean) => void} [onLiveAgentMode] - Called when the chat is handed to or back from a live agent
+ * @property {(status: import('./handoff.js').QueueStatus) => void} [onQueueUpdate] - Called when the position in the live agent queue changes
+ * @property {(agent: import('./handoff.js').LiveAgent | null) => void} [onAgentJoined] - Called when a live agent joins the chat
+ * @property {(agent: import('./handoff.js').LiveAgent | null) => void} [onAgentLeft] - Called when a live agent leaves the chat
+ * @property {(from: import('./handoff.js').LiveAgent | null, to: import('./handoff.js').LiveAgent | null) => void} [onAgentTransfer] - Called when the chat is transferred to another agent
+ * @property {(attempt: number, delay: number) => void} [onReconnecting] - Called before each socket reconnect attempt
+ * @property {(attempts: number) => void} [onReconnected] - Called when the socket is back after a drop
+ * @property {(error: Error) => void} [onAuthError] - Called when the token could not be refreshed
+ * Each callback is registered as the handler of the matching event, see {@link import('./events.js').EventMap}
  */
 
 /**
@@ -32,19 +58,104 @@ import {
  * @property {string} sessionId
  * @property {string} sseUrl
  * @property {string} [requestId]
- * @property {AbortController} [abortController]
+ * @property {AbortController} [abortController] - Aborts the reply being streamed
+ * @property {string} [replyId] - Id of the assistant message being streamed
  * @property {string} [lastStreamId]
- * @property {Array} messages
- * @property {ChatCallbacks} callbacks
+ * @property {Array} messages - Updated in place, copied when handed to the app
+ * @property {Map<string, number>} messageIndexes - Index of messages in `messages` by id, may be stale
+ * @property {boolean} hasOlderMessages - Whether older messages can be loaded
+ * @property {string} [oldestMessageId] - Server ID of the oldest message loaded from history, the
+ *   cursor of `loadOlderMessages`
+ * @property {Promise<{ messages: Array, hasMore: boolean }>} [olderMessagesRequest] - Older messages being loaded
+ * @property {Map<string, { files: Blob[], context?: Object, onUploadProgress?: (progress: number) => void }>} failedUploads - Files of user messages whose upload failed, by message id, uploaded again by `retryMessage`
  * @property {TransportType} transport
  */
 
+/**
+ * @typedef {Object} OutgoingMessage
+ * @property {string} [text]
+ * @property {string} [html]
+ * @property {Object} [context]
+ * @property {Blob[]} [attachments] - Files, uploaded before the message is sent
+ * @property {(progress: number) => void} [onUploadProgress] - Progress of all uploads, from 0 to 1
+ * @property {AbortSignal} [signal] - Cancels the uploads
+ * @property {{ blockId: string, value: * }} [postback] - Answer to a block, see `sendPostback`
+ */
+
+/**
+ * @typedef {Object} StreamRetryPolicy
+ * @property {number} [maxAttempts=3] - Attempts to resume an interrupted reply before failing it
+ * @property {number} [baseDelay=1000] - Delay before the first attempt, doubled on every attempt
+ * @property {number} [maxDelay=8000] - Upper bound for the delay between attempts
+ */
+
+const STREAM_RETRY_MAX_ATTEMPTS = 3
+const STREAM_RETRY_BASE_DELAY = 1000
+const STREAM_RETRY_MAX_DELAY = 8000
+
+/**
+ * Get the policy for resuming interrupted replies from the credentials
+ * @param {Object} [credentials]
+ * @returns {Required<StreamRetryPolicy> | null} null when resuming is disabled
+ */
+function getStreamRetryPolicy(credentials) {
+  const policy = credentials?.streamRetry
+  if (policy === false) {
+    return null
+  }
+  return {
+    maxAttempts: policy?.maxAttempts ?? STREAM_RETRY_MAX_ATTEMPTS,
+    baseDelay: policy?.baseDelay ?? STREAM_RETRY_BASE_DELAY,
+    maxDelay: policy?.maxDelay ?? STREAM_RETRY_MAX_DELAY
+  }
+}
+
+const HISTORY_PAGE_SIZE = 50
+
+/**
+ * Turn a message from the session history into a chat message
+ * @param {Object} msg
+ * @returns {Object}
+ */
+function mapHistoryMessage(msg) {
+  const sources = mergeSources(undefined, msg.sources)
+  return {
+    id: msg.id,
+    text: msg.text,
+    role: msg.youtubeVideo
+      ? MESSAGE_ROLES.BOT // for youtube video messages, role is "system" from backend, we need to make it "assistant"
+      : msg.role,
+    timestamp: msg.timestamp,
+    video: msg.youtubeVideo,
+    attachments: normalizeAttachments(msg),
+    channel: msg.channel,
+    readAt: msg.readAt,
+    requestId: msg.requestId,
+    blocks: normalizeBlocks(msg),
+    sources,
+    citations: getCitations(msg.text, sources),
+    feedback: normalizeFeedback(msg),
+    done: true
+  }
+}
+
+/**
+ * Whether there are more pages after this one
+ * Servers that don't say are assumed to have more as long as pages come back full
+ * @param {{ hasMore?: boolean }} res
+ * @param {Array} items - Items of this page
+ * @param {number} [limit]
+ * @returns {boolean}
+ */
+function hasMorePages(res, items, limit) {
+  return res?.hasMore ?? (limit !== undefined && items.length >= limit)
+}
+
 /**
  * Create a new chat session
- * @param {ChatCallbacks} [callbacks={}]
  * @returns {ChatSession}
  */
-function createSession(callbacks = {}) {
+function createSession() {
   return {
     credentials: undefined,
     authenticated: false,
@@ -53,262 +164,821 @@ function createSession(callbacks = {}) {
     requestId: undefined,
     sseUrl: undefined,
     abortController: undefined,
+    replyId: undefined,
     lastStreamId: undefined,
     messages: [],
-    callbacks,
+    messageIndexes: new Map(),
+    hasOlderMessages: false,
+    oldestMessageId: undefined,
+    olderMessagesRequest: undefined,
+    failedUploads: new Map(),
     transport: 'sse'
   }
 }
 
-/** @type {ChatSession} */
-let currentSession = createSession()
-
 /**
- * Set callbacks for the current session
- * @param {ChatCallbacks} callbacks
+ * Create a chat service that keeps its own chat session
+ * @param {import('./client.js').ClientContext} client - Services of the owning client
  */
-export function setCallbacks(callbacks) {
-  currentSession.callbacks = { ...currentSession.callbacks, ...callbacks }
-}
+export function createChatService(client) {
+  /** @type {ChatSession} */
+  let currentSession = createSession()
+  /** @type {import('./storage.js').StorageAdapter} */
+  let storage
+  /** @type {Promise<string> | undefined} */
+  let deviceIdPromise
 
-/**
- * Initialize the chat session
- * @param {Object} credentials - Credentials for the chat
- */
-export function initialize(credentials) {
-  console.log('Initializing chat...', credentials)
-  currentSession.credentials = credentials
-  if (credentials.token) {
-    currentSession.authenticated = true
+  /**
+   * Set callbacks for chat events
+   * Kept for compatibility, each callback replaces the previous one; use `on` for multiple listeners
+   * @param {ChatCallbacks} callbacks
+   */
+  function setCallbacks(callbacks) {
+    client.events.setCallbacks(callbacks)
   }
-}
 
-/**
- * Get current chat session credentials
- * @returns {{ endpoint: string, apiKey: string } | undefined}
- */
-export function getCredentials() {
-  return currentSession.credentials
-}
+  /**
+   * Initialize the chat session
+   * @param {Object} credentials - Credentials for the chat
+   */
+  function initialize(credentials) {
+    client.logger.configure(credentials.logger)
+    client.logger.debug('Initializing chat...', credentials)
+    if (credentials.storage && !isStorageAdapter(credentials.storage)) {
+      throw new ChatSdkError('Invalid storage adapter, it must implement get, set and remove', {
+        code: ERROR_CODES.INVALID_CONFIG
+      })
+    }
+    if (credentials.cache && credentials.cache !== true && !isMessageCache(credentials.cache)) {
+      throw new ChatSdkError(
+        'Invalid message cache, it must implement get, set, list, remove and clear',
+        { code: ERROR_CODES.INVALID_CONFIG }
+      )
+    }
+    currentSession.credentials = credentials
+    storage = credentials.storage
+    deviceIdPromise = undefined
+    // A token cached for the previous credentials must not be reused
+    client.auth.reset()
+    // Token based chats don't fetch the public config
+    if (credentials.token || credentials.getToken) {
+      currentSession.authenticated = true
+    }
+  }
 
-/**
- * Update the session ID and notify via callback
- * @param {string} sessionId - The new session ID
- */
-export function updateSessionId(sessionId) {
-  if (sessionId && sessionId !== currentSession.sessionId) {
-    currentSession.sessionId = sessionId
-    currentSession.callbacks.onSessionUpdate?.(sessionId)
+  /**
+   * Get current chat session credentials
+   * @returns {{ endpoint: string, apiKey: string } | undefined}
+   */
+  function getCredentials() {
+    return currentSession.credentials
   }
-}
 
-/**
- * Initiate a new chat session or resume an existing one
- * @param {Object} credentials - Credentials for the chat
- * @param {Object} payload - Payload for the chat. It contains sessionId (optional)
- * @param {string} [payload.sessionId] - Optional session ID to resume
- * @returns {Promise<{ sessionId: string, messages: Array }>}
- */
-export async function startChat(payload = {}) {
-  try {
-    console.log('startChat: ', payload, currentSession)
+  /**
+   * Get the fetch implementation, the one passed to `initialize` or the global one
+   * @returns {typeof fetch}
+   */
+  function getFetch() {
+    const fetchImpl = currentSession.credentials?.fetch ?? globalThis.fetch
+    if (!fetchImpl) {
+      throw new ChatSdkError(
+        'fetch is not available in this environment. Pass a fetch implementation to initialize.',
+        { code: ERROR_CODES.UNSUPPORTED_RUNTIME }
+      )
+    }
+    return fetchImpl
+  }
 
-    let configData = null
-    if (!currentSession.authenticated) {
-      configData = await authenticate(currentSession.credentials)
-      currentSession.authenticated = true
-      currentSession.configData = configData
-    } else {
-      configData = currentSession.configData
-    }
-
-    let messages = []
-
-    if (payload.sessionId) {
-      const messagesRes = await getMessages(payload.sessionId)
-      messages = (messagesRes?.sessionHistory ?? []).map((msg) => ({
-        id: msg.id,
-        text: msg.text,
-        role: msg.youtubeVideo
-          ? MESSAGE_ROLES.BOT // for youtube video messages, role is "system" from backend, we need to make it "assistant"
-          : msg.role,
-        timestamp: msg.timestamp,
-        video: msg.youtubeVideo,
-        channel: msg.channel,
-        done: true
-      }))
+  /**
+   * Get the WebSocket implementation, the one passed to `initialize` or the global one
+   * @returns {typeof WebSocket}
+   */
+  function getWebSocket() {
+    const WebSocketImpl = currentSession.credentials?.WebSocket ?? globalThis.WebSocket
+    if (!WebSocketImpl) {
+      throw new ChatSdkError(
+        'WebSocket is not available in this environment. Pass a WebSocket implementation to initialize.',
+        { code: ERROR_CODES.UNSUPPORTED_RUNTIME }
+      )
     }
+    return WebSocketImpl
+  }
+
+  /**
+   * Get the storage adapter everything the SDK persists goes through
+   * @returns {import('./storage.js').StorageAdapter}
+   */
+  function getStorage() {
+    if (!storage) {
+      storage = createDefaultStorage()
+    }
+    return storage
+  }
 
-    const searchParams = new URLSearchParams()
-    if (!currentSession.credentials.token) {
-      searchParams.set('externalId', getExternalId()) // externalId is needed only for public urls, not for internal chat (where token is provided)
+  /**
+   * Update the session ID and notify via callback
+   * @param {string} sessionId - The new session ID
+   */
+  function updateSessionId(sessionId) {
+    if (sessionId && sessionId !== currentSession.sessionId) {
+      currentSession.sessionId = sessionId
+      client.events.emit('sessionUpdate', sessionId)
+      cacheMessages()
     }
-    currentSession.sseUrl = `${currentSession.credentials.endpoint}?${searchParams.toString()}`
-    currentSession.sessionId = payload.sessionId
-    currentSession.messages = messages
+  }
 
-    console.log('Chat initiated successfully')
+  /**
+   * Cache the messages of the current session, when a cache is configured
+   */
+  function cacheMessages() {
+    if (currentSession.sessionId) {
+      client.cache.save(currentSession.sessionId, currentSession.messages)
+    }
+  }
 
+  /**
+   * Load the latest messages of a session from the server
+   * @param {string} sessionId
+   * @param {number} [limit] - Max messages, the whole session when omitted
+   * @returns {Promise<{ messages: Array, hasOlderMessages: boolean, oldestMessageId?: string }>}
+   */
+  async function fetchSessionMessages(sessionId, limit) {
+    const page = limit !== undefined ? { limit } : undefined
+    const messagesRes = await client.http.getMessages(sessionId, page)
+    const messages = (messagesRes?.sessionHistory ?? []).map(mapHistoryMessage)
     return {
-      sessionId: currentSession.sessionId,
       messages,
-      configData
+      hasOlderMessages: hasMorePages(messagesRes, messages, limit),
+      oldestMessageId: messages[0]?.id
+    }
+  }
+
+  /**
+   * Replace the cached messages a session was resumed with by the server's, matched by id
+   * Messages sent or received since, and unsent ones, are kept after them
+   * @param {ChatSession} session - Session resumed from the cache
+   * @param {Array} cachedMessages
+   * @param {number} [limit]
+   */
+  async function syncCachedMessages(session, cachedMessages, limit) {
+    try {
+      const { messages, hasOlderMessages, oldestMessageId } = await fetchSessionMessages(
+        session.sessionId,
+        limit
+      )
+      if (session !== currentSession) {
+        // The chat was closed or switched while loading
+        return
+      }
+
+      const ids = new Set([...messages, ...cachedMessages].map((msg) => msg.id))
+      const newer = session.messages.filter((msg) => !ids.has(msg.id))
+      session.messages = [...messages, ...newer]
+      session.hasOlderMessages = hasOlderMessages
+      session.oldestMessageId = oldestMessageId
+      client.events.emit('messagesSync', [...session.messages])
+      cacheMessages()
+    } catch (error) {
+      // Offline, the cached messages stay
+      client.logger.warn(`Unable to sync cached messages: ${error.message}`)
+    }
+  }
+
+  /**
+   * Initiate a new chat session or resume an existing one
+   * @param {Object} credentials - Credentials for the chat
+   * @param {Object} payload - Payload for the chat. It contains sessionId (optional)
+   * @param {string} [payload.sessionId] - Optional session ID to resume
+   * @param {number} [payload.limit] - Load only the latest messages of the session, older ones
+   *   are loaded with `loadOlderMessages`
+   * With a cache, a cached session resolves with its cached messages right away, they are
+   * replaced by the server's through `messagesSync` once loaded
+   * @returns {Promise<{ sessionId: string, messages: Array, hasOlderMessages: boolean, fromCache: boolean }>}
+   */
+  async function startChat(payload = {}) {
+    try {
+      client.logger.debug('startChat: ', payload)
+
+      let configData = null
+      if (!currentSession.authenticated) {
+        configData = await authenticate(currentSession.credentials)
+        currentSession.authenticated = true
+        currentSession.configData = configData
+      } else {
+        configData = currentSession.configData
+      }
+
+      let messages = []
+      let hasOlderMessages = false
+      let oldestMessageId
+      const cachedMessages = payload.sessionId ? await client.cache.load(payload.sessionId) : null
+
+      if (cachedMessages) {
+        messages = cachedMessages
+      } else if (payload.sessionId) {
+        const loaded = await fetchSessionMessages(payload.sessionId, payload.limit)
+        messages = loaded.messages
+        hasOlderMessages = loaded.hasOlderMessages
+        oldestMessageId = loaded.oldestMessageId
+      }
+
+      const searchParams = new URLSearchParams()
+      if (!client.auth.usesToken()) {
+        searchParams.set('externalId', await getExternalId()) // externalId is needed only for public urls, not for internal chat (where token is provided)
+      }
+      currentSession.sseUrl = `${currentSession.credentials.endpoint}?${searchParams.toString()}`
+      currentSession.sessionId = payload.sessionId
+      // Messages that could not be sent last time go out again
+      messages = [...messages, ...(await client.outbox.restore(payload.sessionId))]
+      currentSession.messages = messages
+      currentSession.hasOlderMessages = hasOlderMessages
+      currentSession.oldestMessageId = oldestMessageId
+      client.outbox.flush()
+      if (cachedMessages) {
+        syncCachedMessages(currentSession, cachedMessages, payload.limit)
+      } else {
+        cacheMessages()
+      }
+
+      client.logger.info('Chat initiated successfully')
+
+      return {
+        sessionId: currentSession.sessionId,
+        messages: [...messages],
+        hasOlderMessages,
+        fromCache: Boolean(cachedMessages),
+        configData
+      }
+    } catch (error) {
+      client.logger.error(`Failed to start chat: ${error.message}`)
+      cleanup()
+      throw error
+    }
+  }
+
+  /**
+   * Load the page of messages before the oldest one loaded, e.g. for infinite scroll
+   * They are prepended to the chat and reported through `messagesPrepend`
+   * @param {{ limit?: number }} [options]
+   * @returns {Promise<{ messages: Array, hasMore: boolean }>} The messages prepended
+   */
+  function loadOlderMessages({ limit = HISTORY_PAGE_SIZE } = {}) {
+    if (currentSession.olderMessagesRequest) {
+      return currentSession.olderMessagesRequest
     }
-  } catch (error) {
-    console.error(`Failed to start chat: ${error.message}`)
+    const { sessionId } = currentSession
+    if (!sessionId || !currentSession.hasOlderMessages) {
+      return Promise.resolve({ messages: [], hasMore: false })
+    }
+
+    const request = (async () => {
+      try {
+        // Messages added locally carry client IDs the server doesn't know, the cursor is the oldest
+        // message of the pages loaded from history
+        const before = currentSession.oldestMessageId
+        const messagesRes = await client.http.getMessages(sessionId, { limit, before })
+        if (request !== currentSession.olderMessagesRequest) {
+          // The chat was closed or switched while loading
+          return { messages: [], hasMore: false }
+        }
+
+        const ids = new Set(currentSession.messages.map((msg) => msg.id))
+        const page = (messagesRes?.sessionHistory ?? []).map(mapHistoryMessage)
+        const older = page.filter((msg) => !ids.has(msg.id))
+        const hasMore = older.length > 0 && hasMorePages(messagesRes, page, limit)
+
+        currentSession.hasOlderMessages = hasMore
+        currentSession.oldestMessageId = page[0]?.id ?? before
+        if (older.length) {
+          currentSession.messages = [...older, ...currentSession.messages]
+          client.events.emit('messagesPrepend', older)
+          cacheMessages()
+        }
+        return { messages: older, hasMore }
+      } finally {
+        if (request === currentSession.olderMessagesRequest) {
+          currentSession.olderMessagesRequest = undefined
+        }
+      }
+    })()
+    currentSession.olderMessagesRequest = request
+    return request
+  }
+
+  /**
+   * Disconnect from the current chat session
+   */
+  function disconnect() {
     cleanup()
-    throw error
   }
-}
 
-/**
- * Disconnect from the current chat session
- */
-export function disconnect() {
-  cleanup()
-}
+  /**
+   * Clean up the current session
+   */
+  function cleanup() {
+    if (currentSession.abortController) {
+      currentSession.abortController.abort()
+    }
+    client.socket.disconnect()
+    client.outbox.clear()
+    client.updates.reset()
 
-/**
- * Clean up the current session
- */
-function cleanup() {
-  if (currentSession.abortController) {
-    currentSession.abortController.abort()
+    const { credentials } = currentSession
+    currentSession = createSession()
+    currentSession.credentials = credentials
+
+    client.logger.debug('Chat session cleaned up')
   }
-  disconnectSocket()
 
-  const { callbacks, credentials } = currentSession
-  currentSession = createSession(callbacks)
-  currentSession.credentials = credentials
+  /**
+   * Get the external ID of the user, the device ID unless one was passed to `initialize`
+   * @returns {Promise<string>}
+   */
+  async function getExternalId() {
+    if (currentSession.credentials?.externalId) {
+      return currentSession.credentials.externalId
+    }
+    // Shared, so concurrent callers don't each generate a device ID
+    if (!deviceIdPromise) {
+      deviceIdPromise = getDeviceId(getStorage(), client.logger)
+    }
+    return deviceIdPromise
+  }
 
-  console.log('Chat session cleaned up')
-}
+  /**
+   * Get the current session ID
+   * @returns {string | undefined}
+   */
+  function getSessionId() {
+    return currentSession.sessionId
+  }
 
-export function getExternalId() {
-  if (currentSession.credentials?.externalId) {
-    return currentSession.credentials.externalId
+  /**
+   * Add a message to the chat
+   * @param {Object} message - The message object to add
+   */
+  function addMessage(message) {
+    currentSession.messages = [...currentSession.messages, message]
+    currentSession.messageIndexes.set(message.id, currentSession.messages.length - 1)
+    client.events.emit('messageAdd', message)
+    cacheMessages()
   }
-  return getDeviceId()
-}
 
-/**
- * Add a message to the chat
- * @param {Object} message - The message object to add
- */
-export function addMessage(message) {
-  currentSession.messages = [...currentSession.messages, message]
-  currentSession.callbacks.onMessageAdd?.(message)
-}
+  /**
+   * Get a message by its id
+   * @param {string} id
+   * @returns {Object | undefined}
+   */
+  function getMessage(id) {
+    return currentSession.messages[getMessageIndex(id)]
+  }
 
-export function toggleTypingStatus(isTyping) {
-  currentSession.callbacks.onTyping?.(isTyping)
-}
+  /**
+   * Get the index of a message by its id
+   * Indexes are looked up by id, and only recomputed once messages were prepended or replaced
+   * @param {string} id
+   * @returns {number} -1 for an unknown message
+   */
+  function getMessageIndex(id) {
+    const { messages, messageIndexes } = currentSession
+    const index = messageIndexes.get(id)
+    if (index !== undefined && messages[index]?.id === id) {
+      return index
+    }
 
-/**
- * Set the transport type
- * @param {TransportType} transport
- */
-export function setTransport(transport) {
-  console.log('Setting transport to:', transport)
-  currentSession.transport = transport
-  currentSession.callbacks.onTransportUpdate?.(transport)
-}
+    messageIndexes.clear()
+    messages.forEach((msg, i) => {
+      if (!messageIndexes.has(msg.id)) {
+        messageIndexes.set(msg.id, i)
+      }
+    })
+    return messageIndexes.get(id) ?? -1
+  }
 
-/**
- * Get current transport type
- * @returns {TransportType}
- */
-export function getTransport() {
-  return currentSession.transport
-}
+  /**
+   * Update a message by its id and notify via callback
+   * The message is replaced in place, a streamed reply is updated for every chunk and cached
+   * once complete
+   * @param {string} id - Id of the message to update
+   * @param {Object} changes - Fields to merge into the message
+   * @param {{ appended?: string }} [options] - `appended` is the text a chunk of a streamed
+   *   reply added, reported through `messageDelta`
+   * @returns {Object | undefined} The updated message
+   */
+  function updateMessage(id, changes, { appended } = {}) {
+    const index = getMessageIndex(id)
+    if (index === -1) {
+      return undefined
+    }
+    const updatedMsg = { ...currentSession.messages[index], ...changes }
+    currentSession.messages[index] = updatedMsg
+    client.updates.notifyUpdate(id, appended)
+    if (appended === undefined || updatedMsg.done) {
+      cacheMessages()
+    }
+    return updatedMsg
+  }
 
-/**
- * Send a message in the current chat session
- * @param {{ text: string, html?: string }} message
- * @returns {Promise<string>}
- */
-export function sendMessage({ text, html, context }) {
-  return new Promise((resolve, reject) => {
-    ;(async () => {
+  function toggleTypingStatus(isTyping) {
+    client.events.emit('typing', isTyping)
+  }
+
+  /**
+   * Notify that the socket is about to reconnect
+   * @param {number} attempt - 1-based attempt number
+   * @param {number} delay - Delay in ms before the attempt
+   */
+  function notifyReconnecting(attempt, delay) {
+    client.events.emit('reconnecting', attempt, delay)
+  }
+
+  /**
+   * Notify that the socket reconnected
+   * @param {number} attempts - Attempts it took to reconnect
+   */
+  function notifyReconnected(attempts) {
+    client.events.emit('reconnected', attempts)
+  }
+
+  /**
+   * Set the transport type
+   * @param {TransportType} transport
+   */
+  function setTransport(transport) {
+    client.logger.debug('Setting transport to:', transport)
+    currentSession.transport = transport
+    client.events.emit('transportUpdate', transport)
+  }
+
+  /**
+   * Get current transport type
+   * @returns {TransportType}
+   */
+  function getTransport() {
+    return currentSession.transport
+  }
+
+  /**
+   * Send a message in the current chat session
+   * The message is queued while offline or while the transport is down and sent once it is back
+   * @param {OutgoingMessage} message
+   * @returns {Promise<string>}
+   */
+  function sendMessage({
+    text,
+    html,
+    context,
+    attachments = [],
+    postback,
+    onUploadProgress,
+    signal
+  }) {
+    const files = [...attachments]
+    try {
+      validateAttachments(files, getAttachmentPolicy(currentSession.credentials))
+    } catch (error) {
+      return Promise.reject(error)
+    }
+
+    // Typing stops once the message is sent
+    client.typing.setUserTyping(false)
+
+    // Add user message
+    const userMessage = {
+      id: uuidv7(),
+      role: MESSAGE_ROLES.USER,
+      text,
+      html,
+      // Kept so the reply can be regenerated with the same context
+      context,
+      postback,
+      attachments: files.length
+        ? files.map((file) => ({
+            id: uuidv7(),
+            name: file.name ?? 'File',
+            type: file.type,
+            size: file.size,
+            status: 'uploading',
+            progress: 0
+          }))
+        : undefined,
+      timestamp: new Date().toISOString(),
+      status: 'queued'
+    }
+    addMessage(userMessage)
+    if (!files.length) {
+      return client.outbox.enqueue(userMessage, context)
+    }
+    return uploadAndEnqueue(userMessage.id, files, context, { onUploadProgress, signal })
+  }
+
+  /**
+   * Upload the files of a user message, then queue it
+   * When an upload fails the files are kept, so `retryMessage` can upload them again
+   * @param {string} messageId
+   * @param {Blob[]} files
+   * @param {Object} [context]
+   * @param {Pick<OutgoingMessage, 'onUploadProgress' | 'signal'>} options
+   * @returns {Promise<string>}
+   */
+  async function uploadAndEnqueue(messageId, files, context, { onUploadProgress, signal }) {
+    const session = currentSession
+    let uploaded
+    try {
+      uploaded = await uploadAttachments(messageId, files, { onUploadProgress, signal })
+    } catch (error) {
+      session.failedUploads.set(messageId, { files, context, onUploadProgress })
+      throw error
+    }
+    return client.outbox.enqueue(updateMessage(messageId, { attachments: uploaded }), context)
+  }
+
+  /**
+   * Upload the files of a user message, keeping its attachments up to date
+   * The message is marked `failed` when an upload fails or is cancelled
+   * @param {string} messageId
+   * @param {Blob[]} files
+   * @param {Pick<OutgoingMessage, 'onUploadProgress' | 'signal'>} options
+   * @returns {Promise<import('./attachments.js').Attachment[]>}
+   */
+  async function uploadAttachments(messageId, files, { onUploadProgress, signal }) {
+    // One failed upload cancels the others
+    const controller = new AbortController()
+    const cancel = () => controller.abort()
+    signal?.addEventListener('abort', cancel, { once: true })
+    if (signal?.aborted) {
+      cancel()
+    }
+
+    const totalSize = files.reduce((total, file) => total + (file.size || 1), 0)
+    const progress = files.map(() => 0)
+    const setAttachment = (index, changes) => {
+      const attachments = getMessage(messageId)?.attachments ?? []
+      updateMessage(messageId, {
+        attachments: attachments.map((attachment, i) =>
+          i === index ? { ...attachment, ...changes } : attachment
+        )
+      })
+    }
+
+    try {
+      return await Promise.all(
+        files.map(async (file, index) => {
+          try {
+            const attachment = await client.http.uploadFile(file, {
+              signal: controller.signal,
+              onProgress: (value) => {
+                progress[index] = value
+                setAttachment(index, { progress: value })
+                onUploadProgress?.(
+                  files.reduce((done, f, i) => done + progress[i] * (f.size || 1), 0) / totalSize
+                )
+              }
+            })
+            const uploaded = { ...attachment, status: 'uploaded', progress: 1 }
+            setAttachment(index, uploaded)
+            return uploaded
+          } catch (error) {
+            setAttachment(index, { status: 'failed' })
+            cancel()
+            throw error
+          }
+        })
+      )
+    } catch (error) {
+      client.logger.error('Failed to upload attachments: ', error)
+      // The uploads only know their request was aborted
+      const cause = signal?.aborted
+        ? new ChatSdkError('Upload cancelled', { code: ERROR_CODES.CANCELLED })
+        : error
+      updateMessage(messageId, {
+        status: 'failed',
+        errorText: cause.message,
+        errorCode: cause.code
+      })
+      throw cause
+    } finally {
+      signal?.removeEventListener('abort', cancel)
+    }
+  }
+
+  /**
+   * Retry a message that failed to send
+   * @param {string} id - Id of the user message
+   * @returns {Promise<string>}
+   */
+  function retryMessage(id) {
+    const upload = currentSession.failedUploads.get(id)
+    if (!upload) {
+      return client.outbox.retryMessage(id)
+    }
+
+    currentSession.failedUploads.delete(id)
+    // Every file is uploaded again, the message was never sent
+    updateMessage(id, {
+      status: 'queued',
+      errorText: undefined,
+      errorCode: undefined,
+      attachments: getMessage(id)?.attachments?.map((attachment) => ({
+        ...attachment,
+        status: 'uploading',
+        progress: 0
+      }))
+    })
+    return uploadAndEnqueue(id, upload.files, upload.context, {
+      onUploadProgress: upload.onUploadProgress
+    })
+  }
+
+  /**
+   * Deliver a queued user message over the active transport
+   * Rejects without marking the message `sent` when it never reached the server
+   * @param {import('./outbox.js').OutboxItem} item
+   * @returns {Promise<string>} Resolves with the session ID once the reply is complete
+   */
+  async function deliverMessage(item) {
+    if (!currentSession.sseUrl) {
+      throw new ChatSdkError('Chat not started. Please call startChat first.', {
+        code: ERROR_CODES.CHAT_NOT_STARTED
+      })
+    }
+    await sleep(200)
+
+    // If transport is socket and socket is connected, use socket
+    if (currentSession.transport === 'socket' && client.socket.isConnected()) {
       try {
-        // Add user message
-        const userMessage = {
-          role: MESSAGE_ROLES.USER,
-          text,
-          html,
-          timestamp: new Date().toISOString()
-        }
-        addMessage(userMessage)
-        await sleep(200)
-
-        // If transport is socket and socket is connected, use socket
-        if (currentSession.transport === 'socket' && isSocketConnected()) {
-          socketSend({
-            type: 'message',
-            data: {
-              text,
-              html
-            }
+        // The message id doubles as the event id, so the server can acknowledge and dedupe it
+        await client.socket.sendWithAck({
+          type: 'message',
+          eventId: item.id,
+          data: {
+            id: item.id,
+            text: item.text,
+            html: item.html,
+            attachments: item.attachments,
+            postback: item.postback
+          }
+        })
+      } catch (error) {
+        if (error.code === ERROR_CODES.ACK_TIMEOUT) {
+          throw new TransportError('Message not delivered', {
+            code: ERROR_CODES.ACK_TIMEOUT,
+            cause: error
           })
-          resolve(currentSession.sessionId)
-          return
         }
+        throw error
+      }
+      client.outbox.markSent(item)
+      return currentSession.sessionId
+    }
 
-        const loadingMessage = {
-          role: MESSAGE_ROLES.BOT,
-          text: '',
-          loading: true
-        }
-        addMessage(loadingMessage)
+    return streamReply(item)
+  }
 
-        const url = new URL(currentSession.sseUrl)
-        if (currentSession.sessionId) {
-          url.searchParams.set('sessionId', currentSession.sessionId)
-        }
-        if (currentSession.requestId) {
-          url.searchParams.set('requestId', currentSession.requestId)
-        }
+  /**
+   * Regenerate an assistant reply
+   * The user message it answers is sent again with its context, without adding it twice,
+   * and the new reply is streamed into the same assistant message
+   * @param {string} messageId - Id of the assistant message
+   * @param {{ keepAlternates?: boolean }} [options] - keepAlternates to keep the replaced
+   *   reply in the message's `alternates`
+   * @returns {Promise<string>} Resolves with the session ID once the reply is complete
+   */
+  async function regenerateResponse(messageId, { keepAlternates = false } = {}) {
+    const index = currentSession.messages.findIndex((msg) => msg.id === messageId)
+    const reply = currentSession.messages[index]
+    if (!reply || reply.role !== MESSAGE_ROLES.BOT) {
+      throw new ChatSdkError('Assistant message not found', {
+        code: ERROR_CODES.MESSAGE_NOT_FOUND
+      })
+    }
+    const userMessage = currentSession.messages
+      .slice(0, index)
+      .reverse()
+      .find((msg) => msg.role === MESSAGE_ROLES.USER)
+    if (!userMessage) {
+      throw new ChatSdkError('No user message to regenerate a reply for', {
+        code: ERROR_CODES.MESSAGE_NOT_FOUND
+      })
+    }
+    if (!currentSession.sseUrl) {
+      throw new ChatSdkError('Chat not started. Please call startChat first.', {
+        code: ERROR_CODES.CHAT_NOT_STARTED
+      })
+    }
+    if (currentSession.transport === 'socket' && client.socket.isConnected()) {
+      throw new ChatSdkError('Replies cannot be regenerated while talking to a live agent', {
+        code: ERROR_CODES.LIVE_AGENT_ACTIVE
+      })
+    }
 
-        currentSession.lastStreamId = undefined
+    // Only one reply streams at a time
+    stopGeneration()
 
+    const alternates = [...(reply.alternates ?? [])]
+    // Failed and empty replies are not worth keeping
+    if (keepAlternates && reply.text && !reply.errorText) {
+      alternates.push({
+        text: reply.text,
+        sources: reply.sources,
+        citations: reply.citations,
+        stopped: reply.stopped
+      })
+    }
+    updateMessage(messageId, {
+      text: '',
+      sources: undefined,
+      citations: undefined,
+      loading: true,
+      done: false,
+      stopped: undefined,
+      errorText: undefined,
+      errorCode: undefined,
+      alternates: keepAlternates ? alternates : undefined
+    })
+
+    return streamReply(
+      {
+        id: userMessage.id,
+        text: userMessage.text,
+        html: userMessage.html,
+        context: userMessage.context,
+        postback: userMessage.postback,
+        attachments: userMessage.attachments?.map(toAttachmentRef),
+        status: 'sent'
+      },
+      messageId
+    )
+  }
+
+  /**
+   * Add an empty assistant message to stream a reply into
+   * @returns {string} Id of the new message
+   */
+  function addReplyMessage() {
+    const loadingMessage = {
+      id: uuidv7(),
+      role: MESSAGE_ROLES.BOT,
+      text: '',
+      loading: true
+    }
+    addMessage(loadingMessage)
+    currentSession.replyId = loadingMessage.id
+    return loadingMessage.id
+  }
+
+  /**
+   * Send a user message over SSE and stream the reply into assistant messages
+   * @param {import('./outbox.js').OutboxItem} item
+   * @param {string} [regeneratedId] - Assistant message to stream into, when regenerating its reply
+   * @returns {Promise<string>}
+   */
+  function streamReply(item, regeneratedId) {
+    return new Promise((resolve, reject) => {
+      ;(async () => {
+        // Id of the assistant message being streamed, set once the server accepted the message
+        let replyId = regeneratedId
         // Create a new abort controller for this request
-        currentSession.abortController = new AbortController()
+        const controller = new AbortController()
 
-        const headers = {
-          'Content-Type': 'application/json'
-        }
-        if (currentSession.credentials?.token) {
-          headers.Authorization = `Bearer ${currentSession.credentials.token}`
-        }
+        try {
+          currentSession.lastStreamId = undefined
 
-        await fetchEventSource(url.toString(), {
-          method: 'POST',
-          headers,
-          body: JSON.stringify({
-            message: text,
-            html,
-            context
-          }),
-          signal: currentSession.abortController.signal,
-          onopen: async (response) => {
-            if (!response.ok) {
-              console.error('Failed to send message bad response: ', response)
-              throw new Error('Failed to send message')
-            }
-          },
-          onmessage: (response) => {
-            // console.log('Event: ', response)
+          currentSession.abortController = controller
+          currentSession.replyId = regeneratedId
+
+          // Thrown by onopen to retry once with a refreshed token
+          const unauthorized = new AuthError('Unauthorized', { code: ERROR_CODES.UNAUTHORIZED })
+          let refreshedToken = false
+          // Set once the server accepted the message, from then on a dropped stream is resumed
+          let accepted = false
+          let lastEventId = ''
+          // Turn the stream belongs to, a regenerated reply keeps the turn it answers
+          let requestId =
+            (regeneratedId && getMessage(regeneratedId)?.requestId) ?? currentSession.requestId
+
+          const onmessage = (response) => {
+            client.logger.debug('Event: ', response)
+            lastEventId = response.id
             const data = JSON.parse(response.data)
 
             if (response.event === 'connected') {
               currentSession.sessionId = data.sessionId
               currentSession.requestId = data.requestId
+              requestId = data.requestId ?? requestId
             } else if (response.event === 'upgrade_to_websocket') {
-              console.log('Upgrade to websocket: ', data)
-              connectSocket({
-                sessionId: currentSession.sessionId,
-                requestId: data.requestId
-              })
+              client.logger.info('Upgrade to websocket: ', data)
+              client.handoff.start()
+              client.socket
+                .connectSocket({
+                  sessionId: currentSession.sessionId,
+                  requestId: data.requestId
+                })
+                .catch((error) => {
+                  // The chat stays on SSE
+                  client.logger.error('Failed to connect to the live agent: ', error)
+                  client.handoff.end()
+                })
             } else if (data.message !== undefined) {
               // If streamId changes, start a new assistant message
               if (data.streamId !== undefined) {
@@ -316,32 +986,44 @@ export function sendMessage({ text, html, context }) {
                   currentSession.lastStreamId = data.streamId
                 } else if (data.streamId !== currentSession.lastStreamId) {
                   currentSession.lastStreamId = data.streamId
-                  const newBotMessage = {
-                    role: MESSAGE_ROLES.BOT,
-                    text: '',
-                    loading: true
-                  }
-                  addMessage(newBotMessage)
+                  replyId = addReplyMessage()
                 }
               }
 
-              // Update the last message with new content
-              const lastIndex = currentSession.messages.length - 1
-              const lastMsg = currentSession.messages[lastIndex]
-              const updatedMsg = {
-                ...lastMsg,
-                loading: false,
-                text: (lastMsg.text || '') + data.message,
-                sources: data.sources,
-                done: data.done ?? lastMsg.done
-              }
-              currentSession.messages = currentSession.messages.map((msg, index) =>
-                index === lastIndex ? updatedMsg : msg
+              // Update the reply with new content
+              const replyMsg = getMessage(replyId)
+              requestId = data.requestId ?? requestId
+              const text = (replyMsg.text || '') + data.message
+              // Chunks may each carry some of the sources, or all of them again
+              const sources = mergeSources(replyMsg.sources, data.sources)
+              updateMessage(
+                replyId,
+                {
+                  loading: false,
+                  text,
+                  sources,
+                  // New sources may change what every marker cites, otherwise only the chunk is scanned
+                  citations:
+                    sources === replyMsg.sources
+                      ? appendCitations(
+                          replyMsg.citations,
+                          text,
+                          sources,
+                          replyMsg.text?.length ?? 0
+                        )
+                      : getCitations(text, sources),
+                  attachments: normalizeAttachments(data) ?? replyMsg.attachments,
+                  blocks: normalizeBlocks(data, replyId) ?? replyMsg.blocks,
+                  done: data.done ?? replyMsg.done,
+                  // The reply keeps its id, the server's is what the server knows it by
+                  serverId: data.messageId ?? data.id ?? replyMsg.serverId,
+                  requestId
+                },
+                { appended: data.message }
               )
 
-              currentSession.callbacks.onMessageUpdate?.(lastIndex, updatedMsg)
-
               if (data.done) {
+                client.updates.flush()
                 resolve(currentSession.sessionId)
               }
 
@@ -349,43 +1031,359 @@ export function sendMessage({ text, html, context }) {
               currentSession.sessionId = data.session_id ?? currentSession.sessionId
               currentSession.requestId = data.requestId ?? currentSession.requestId
             } else if (data.error) {
-              const errorMessage = 'Failed to connect to the system'
-              const lastIndex = currentSession.messages.length - 1
-              const lastMsg = currentSession.messages[lastIndex]
-              const updatedMsg = {
-                ...lastMsg,
+              const error = new TransportError('Failed to connect to the system', {
+                cause: data.error
+              })
+              updateMessage(replyId, {
                 loading: false,
-                errorText: errorMessage
+                errorText: error.message,
+                errorCode: error.code
+              })
+              reject(error)
+            }
+          }
+
+          /**
+           * Send the message and stream the reply, or pick a dropped reply up where it stopped
+           * @param {string | undefined} token
+           * @param {boolean} [resume]
+           */
+          const openStream = (token, resume = false) => {
+            const url = new URL(currentSession.sseUrl)
+            if (currentSession.sessionId) {
+              url.searchParams.set('sessionId', currentSession.sessionId)
+            }
+            if (requestId) {
+              url.searchParams.set('requestId', requestId)
+            }
+            if (resume) {
+              // Also passed as params, for proxies that drop the Last-Event-ID header
+              if (currentSession.lastStreamId !== undefined) {
+                url.searchParams.set('streamId', currentSession.lastStreamId)
+              }
+              if (lastEventId) {
+                url.searchParams.set('lastEventId', lastEventId)
               }
-              currentSession.messages = currentSession.messages.map((msg, index) =>
-                index === lastIndex ? updatedMsg : msg
+            }
+
+            const headers = {
+              'Content-Type': 'application/json'
+            }
+            if (token) {
+              headers.Authorization = `Bearer ${token}`
+            }
+            return streamEvents(url.toString(), {
+              fetch: getFetch(),
+              method: resume ? 'GET' : 'POST',
+              headers,
+              body: resume
+                ? undefined
+                : JSON.stringify({
+                    message: item.text,
+                    html: item.html,
+                    attachments: item.attachments,
+                    context: item.context,
+                    postback: item.postback,
+                    // The server already has the user message, it only answers it again
+                    regenerate: regeneratedId ? true : undefined
+                  }),
+              signal: controller.signal,
+              lastEventId: resume ? lastEventId : undefined,
+              onopen: async (response) => {
+                if (response.status === 401 && !refreshedToken && client.auth.canRefresh()) {
+                  refreshedToken = true
+                  throw unauthorized
+                }
+                if (!response.ok) {
+                  client.logger.error('Failed to send message bad response: ', response)
+                  throw createResponseError(
+                    response,
+                    resume ? 'Failed to resume the reply' : 'Failed to send message'
+                  )
+                }
+                if (resume) {
+                  updateMessage(replyId, { resuming: false })
+                  return
+                }
+                accepted = true
+                if (regeneratedId) {
+                  return
+                }
+                client.outbox.markSent(item)
+                replyId = addReplyMessage()
+              },
+              onmessage
+            })
+          }
+
+          /**
+           * Open the stream, retrying once with a refreshed token when it is rejected
+           * @param {boolean} [resume]
+           */
+          const openStreamWithAuth = async (resume) => {
+            try {
+              await openStream(await client.auth.getToken(), resume)
+            } catch (error) {
+              if (error !== unauthorized) {
+                throw error
+              }
+              client.logger.info('Message unauthorized, retrying with a refreshed token')
+              await openStream(await client.auth.getToken({ forceRefresh: true }), resume)
+            }
+          }
+
+          let resumeAttempts = 0
+          let resume = false
+          while (true) {
+            try {
+              await openStreamWithAuth(resume)
+              break
+            } catch (error) {
+              const policy = getStreamRetryPolicy(currentSession.credentials)
+              const resumable =
+                error instanceof NetworkError &&
+                accepted &&
+                !controller.signal.aborted &&
+                !getMessage(replyId)?.done &&
+                (lastEventId || currentSession.lastStreamId !== undefined)
+              if (!resumable || !policy || resumeAttempts >= policy.maxAttempts) {
+                throw error
+              }
+
+              resumeAttempts++
+              const delay = getBackoffDelay(policy, resumeAttempts)
+              client.logger.info(
+                `Reply interrupted, resuming in ${delay}ms (attempt ${resumeAttempts}/${policy.maxAttempts})`
               )
-              currentSession.callbacks.onMessageUpdate?.(lastIndex, updatedMsg)
-              reject(new Error(errorMessage))
+              updateMessage(replyId, { resuming: true })
+              await sleep(delay, controller.signal)
+              if (controller.signal.aborted) {
+                updateMessage(replyId, { resuming: false })
+                break
+              }
+              resume = true
             }
-          },
-          onerror: (error) => {
-            throw error // Rethrow to stop retries
-          },
-          openWhenHidden: true
-        })
-      } catch (error) {
-        console.error('Failed to send message: ', error)
-        const errorMessage = 'Failed to connect to the system'
-        const lastIndex = currentSession.messages.length - 1
-        const lastMsg = currentSession.messages[lastIndex]
-        const updatedMsg = {
-          ...lastMsg,
-          loading: false,
-          errorText: lastMsg.done ? undefined : error.message || errorMessage,
-          done: true
+          }
+          if (controller.signal.aborted && !replyId) {
+            // Stopped before the server accepted the message
+            throw new ChatSdkError('Message not sent', { code: ERROR_CODES.CANCELLED })
+          }
+          resolve(currentSession.sessionId)
+        } catch (cause) {
+          const error =
+            cause instanceof ChatSdkError
+              ? cause
+              : new TransportError('Failed to connect to the system', { cause })
+          if (replyId) {
+            client.logger.error('Failed to receive reply: ', cause)
+            const done = getMessage(replyId)?.done
+            updateMessage(replyId, {
+              loading: false,
+              errorText: done ? undefined : error.message,
+              errorCode: done ? undefined : error.code,
+              done: true,
+              resuming: false
+            })
+          }
+          reject(error)
+        } finally {
+          // The last chunks are reported and cached before the caller goes on
+          client.updates.flush()
+          cacheMessages()
+          if (currentSession.abortController === controller) {
+            currentSession.abortController = undefined
+            currentSession.replyId = undefined
+          }
         }
-        currentSession.messages = currentSession.messages.map((msg, index) =>
-          index === lastIndex ? updatedMsg : msg
-        )
-        currentSession.callbacks.onMessageUpdate?.(lastIndex, updatedMsg)
-        reject(error)
+      })()
+    })
+  }
+
+  /**
+   * Answer a block of a received message, e.g. with the quick reply the user picked
+   * The answer goes out as a user message over the active transport, carrying the block ID
+   * and the value; the block keeps the value as `submittedValue`
+   * @param {string} blockId
+   * @param {*} value - Value of the option or button picked, or the values of a form by field name
+   * @returns {Promise<string>} Same as `sendMessage`
+   */
+  function sendPostback(blockId, value) {
+    const message = currentSession.messages.find((msg) =>
+      msg.blocks?.some((block) => block.id === blockId)
+    )
+    if (!message) {
+      return Promise.reject(
+        new ChatSdkError('Block not found', { code: ERROR_CODES.BLOCK_NOT_FOUND })
+      )
+    }
+
+    const block = message.blocks.find((candidate) => candidate.id === blockId)
+    updateMessage(message.id, {
+      blocks: message.blocks.map((candidate) =>
+        candidate === block ? { ...candidate, submittedValue: value } : candidate
+      )
+    })
+    return sendMessage({ text: describePostback(block, value), postback: { blockId, value } })
+  }
+
+  /**
+   * Set `readAt` on a message and on the unread ones before it
+   * @param {string} [messageId] - The latest message read, the last one when omitted
+   * @param {string} readAt
+   * @param {(msg: Object) => boolean} isReadable - Which messages the receipt is for
+   */
+  function setReadUpTo(messageId, readAt, isReadable) {
+    const index = messageId
+      ? currentSession.messages.findIndex((msg) => msg.id === messageId)
+      : currentSession.messages.length - 1
+    currentSession.messages
+      .slice(0, index + 1)
+      .filter((msg) => msg.id && !msg.readAt && isReadable(msg))
+      .forEach((msg) => updateMessage(msg.id, { readAt }))
+  }
+
+  /**
+   * Mark a received message, and the ones before it, as read by the user
+   * A `seen` event tells the live agent; with the bot, messages are only marked locally
+   * @param {string} messageId
+   * @returns {boolean} Whether the live agent was told
+   */
+  function markAsRead(messageId) {
+    const message = getMessage(messageId)
+    if (!message) {
+      throw new ChatSdkError('Message not found', { code: ERROR_CODES.MESSAGE_NOT_FOUND })
+    }
+    if (message.readAt) {
+      return false
+    }
+
+    const readAt = new Date().toISOString()
+    setReadUpTo(messageId, readAt, (msg) => msg.role !== MESSAGE_ROLES.USER)
+    if (currentSession.transport !== 'socket' || !client.socket.isConnected()) {
+      return false
+    }
+    return client.socket.send({ type: SocketEvents.SEEN, data: { messageId, readAt } })
+  }
+
+  /**
+   * Handle a read receipt from the live agent for the user's messages
+   * @param {{ messageId?: string, readAt?: string }} receipt - Without `messageId`, every
+   *   message was read
+   */
+  function handleReadReceipt({ messageId, readAt = new Date().toISOString() }) {
+    setReadUpTo(messageId, readAt, (msg) => msg.role === MESSAGE_ROLES.USER)
+  }
+
+  /**
+   * Rate a reply of the assistant or of a live agent, e.g. with thumbs up or down
+   * The feedback is set on the message right away, and taken back if the server rejects it
+   * @param {string} messageId
+   * @param {{ rating: 'up' | 'down', reason?: string, comment?: string }} feedback
+   * @returns {Promise<void>}
+   */
+  async function submitFeedback(messageId, { rating, reason, comment } = {}) {
+    const message = getMessage(messageId)
+    if (!message || (message.role !== MESSAGE_ROLES.BOT && message.role !== MESSAGE_ROLES.AGENT)) {
+      throw new ChatSdkError('Reply not found', { code: ERROR_CODES.MESSAGE_NOT_FOUND })
+    }
+    const normalizedRating = normalizeRating(rating)
+    if (!normalizedRating) {
+      throw new ChatSdkError(`Invalid rating: ${rating}, expected 'up' or 'down'`, {
+        code: ERROR_CODES.INVALID_FEEDBACK
+      })
+    }
+    if (!currentSession.sessionId) {
+      throw new ChatSdkError('Chat not started. Please call startChat first.', {
+        code: ERROR_CODES.CHAT_NOT_STARTED
+      })
+    }
+
+    const previous = message.feedback
+    const feedback = {
+      rating: normalizedRating,
+      reason,
+      comment,
+      submittedAt: new Date().toISOString()
+    }
+    updateMessage(messageId, { feedback })
+    try {
+      await client.http.submitFeedback(
+        currentSession.sessionId,
+        message.serverId ?? messageId,
+        feedback
+      )
+    } catch (error) {
+      // Unless the user rated it again meanwhile
+      if (getMessage(messageId)?.feedback === feedback) {
+        updateMessage(messageId, { feedback: previous })
       }
-    })()
-  })
+      throw error
+    }
+  }
+
+  /**
+   * Stop the reply being streamed and tell the server to stop generating it
+   * The partial reply is kept, marked `stopped`, and the session stays usable
+   * @returns {boolean} false when no reply was being streamed
+   */
+  function stopGeneration() {
+    const { abortController, replyId, sessionId, requestId } = currentSession
+    if (!abortController) {
+      return false
+    }
+
+    abortController.abort()
+    currentSession.abortController = undefined
+    currentSession.replyId = undefined
+    if (replyId && getMessage(replyId)?.done) {
+      // The reply is complete, only the stream was still open
+      return false
+    }
+
+    client.logger.debug('Stopping generation')
+    if (replyId) {
+      updateMessage(replyId, { loading: false, done: true, stopped: true })
+    }
+    if (sessionId) {
+      // A regenerated reply belongs to the turn it answers
+      const replyRequestId = (replyId && getMessage(replyId)?.requestId) ?? requestId
+      client.http.stopGeneration(sessionId, replyRequestId).catch((error) => {
+        client.logger.warn('Failed to notify the server of the stop: ', error)
+      })
+    }
+    return true
+  }
+
+  return {
+    setCallbacks,
+    initialize,
+    getCredentials,
+    getFetch,
+    getWebSocket,
+    getStorage,
+    updateSessionId,
+    startChat,
+    loadOlderMessages,
+    disconnect,
+    getExternalId,
+    getSessionId,
+    addMessage,
+    getMessage,
+    getMessageIndex,
+    updateMessage,
+    toggleTypingStatus,
+    notifyReconnecting,
+    notifyReconnected,
+    setTransport,
+    getTransport,
+    sendMessage,
+    retryMessage,
+    deliverMessage,
+    stopGeneration,
+    regenerateResponse,
+    sendPostback,
+    markAsRead,
+    handleReadReceipt,
+    submitFeedback
+  }
 }
@@ -0,0 +1,154 @@
+/**
+ * Chat Client for Chat SDK
+ * Owns its own chat, socket and call state, so several clients can run
+ * side by side (e.g. pointed at different endpoints)
+ */
+
+import { authenticate, createHttpService } from './http.js'
+import { createChatService } from './chat.js'
+import { createUpdatesService } from './updates.js'
+import { createSocketService } from './socket.js'
+import { createCallService } from './call.js'
+import { createTypingService } from './typing.js'
+import { createHandoffService } from './handoff.js'
+import { createOutboxService } from './outbox.js'
+import { createEmitter } from './events.js'
+import { createLogger } from './logger.js'
+import { createAuthService } from './auth.js'
+import { createSessionsService } from './sessions.js'
+import { createCacheService } from './cache.js'
+
+/**
+ * Internal services of a client, shared between its modules
+ * @typedef {Object} ClientContext
+ * @property {ReturnType<typeof createLogger>} logger
+ * @property {ReturnType<typeof createEmitter>} events
+ * @property {ReturnType<typeof createAuthService>} auth
+ * @property {ReturnType<typeof createHttpService>} http
+ * @property {ReturnType<typeof createSessionsService>} sessions
+ * @property {ReturnType<typeof createCacheService>} cache
+ * @property {ReturnType<typeof createChatService>} chat
+ * @property {ReturnType<typeof createUpdatesService>} updates
+ * @property {ReturnType<typeof createSocketService>} socket
+ * @property {ReturnType<typeof createTypingService>} typing
+ * @property {ReturnType<typeof createHandoffService>} handoff
+ * @property {ReturnType<typeof createCallService>} call
+ * @property {ReturnType<typeof createOutboxService>} outbox
+ */
+
+/**
+ * @typedef {Object} ChatClient
+ * @property {(credentials: Object) => void} initialize
+ * @property {(credentials: { endpoint: string }) => Promise<object>} authenticate
+ * @property {(page?: import('./http.js').PageOptions) => Promise<{ sessions: Array, hasMore?: boolean }>} getHistory
+ * @property {(sessionId: string, page?: import('./http.js').PageOptions) => Promise<{ sessionHistory: Array, hasMore?: boolean }>} getMessages
+ * @property {(filters?: import('./sessions.js').SessionFilters) => Promise<{ sessions: import('./sessions.js').ChatSessionSummary[], hasMore?: boolean }>} listSessions
+ * @property {(sessionId: string, title: string) => Promise<import('./sessions.js').ChatSessionSummary | undefined>} renameSession
+ * @property {(sessionId: string, archived?: boolean) => Promise<import('./sessions.js').ChatSessionSummary | undefined>} archiveSession
+ * @property {(sessionId: string, pinned?: boolean) => Promise<import('./sessions.js').ChatSessionSummary | undefined>} pinSession
+ * @property {(sessionId: string) => Promise<void>} deleteSession
+ * @property {() => Promise<import('./sessions.js').ChatSessionSummary[]>} getCachedSessions
+ * @property {(sessionId: string) => Promise<Array>} getCachedMessages
+ * @property {() => Promise<void>} clearCache
+ * @property {(payload?: { sessionId?: string, limit?: number }) => Promise<{ sessionId: string, messages: Array, hasOlderMessages: boolean, fromCache: boolean, configData: object }>} startChat
+ * @property {(options?: { limit?: number }) => Promise<{ messages: Array, hasMore: boolean }>} loadOlderMessages
+ * @property {(message: import('./chat.js').OutgoingMessage) => Promise<string>} sendMessage
+ * @property {(id: string) => Promise<string>} retryMessage
+ * @property {(blockId: string, value: *) => Promise<string>} sendPostback
+ * @property {(text?: string) => void} notifyTyping
+ * @property {(isTyping: boolean, text?: string) => void} setUserTyping
+ * @property {() => boolean} stopGeneration
+ * @property {(messageId: string, options?: { keepAlternates?: boolean }) => Promise<string>} regenerateResponse
+ * @property {(messageId: string) => boolean} markAsRead
+ * @property {(messageId: string, feedback: { rating: 'up' | 'down', reason?: string, comment?: string }) => Promise<void>} submitFeedback
+ * @property {() => import('./handoff.js').LiveAgent | null} getLiveAgent
+ * @property {() => void} disconnect
+ * @property {(callbacks: import('./chat.js').ChatCallbacks) => void} setCallbacks
+ * @property {(event: import('./events.js').EventName, handler: Function) => () => void} on
+ * @property {(event: import('./events.js').EventName, handler: Function) => void} off
+ * @property {(event: import('./events.js').EventName, handler: Function) => () => void} once
+ * @property {(payload?: { sessionId?: string }) => Promise<void>} startCall
+ * @property {() => void} disconnectCall
+ * @property {() => boolean} toggleMute
+ * @property {() => MediaStream | null} getLocalStream
+ * @property {() => Promise<number>} getInboundAudioEnergy
+ * @property {() => Promise<number>} getOutboundAudioEnergy
+ * @property {(callbacks: import('./call.js').CallCallbacks) => void} setCallCallbacks
+ */
+
+/**
+ * Create a chat client with its own isolated state
+ * @param {Object} [credentials] - Credentials for the chat, same as `initialize`
+ * @returns {ChatClient}
+ */
+export function createChatClient(credentials) {
+  /** @type {ClientContext} */
+  const client = {}
+  client.logger = createLogger()
+  client.events = createEmitter(client.logger)
+  client.auth = createAuthService(client)
+  client.http = createHttpService(client)
+  client.sessions = createSessionsService(client)
+  client.cache = createCacheService(client)
+  client.chat = createChatService(client)
+  client.updates = createUpdatesService(client)
+  client.socket = createSocketService(client)
+  client.typing = createTypingService(client)
+  client.handoff = createHandoffService(client)
+  client.call = createCallService(client)
+  client.outbox = createOutboxService(client)
+
+  if (credentials) {
+    client.chat.initialize(credentials)
+  }
+
+  return {
+    // Configuration & HTTP
+    initialize: client.chat.initialize,
+    authenticate,
+    getHistory: client.http.getHistory,
+    getMessages: client.http.getMessages,
+
+    // Sessions
+    listSessions: client.sessions.listSessions,
+    renameSession: client.sessions.renameSession,
+    archiveSession: client.sessions.archiveSession,
+    pinSession: client.sessions.pinSession,
+    deleteSession: client.sessions.deleteSession,
+
+    // Cache
+    getCachedSessions: client.cache.getCachedSessions,
+    getCachedMessages: client.cache.getCachedMessages,
+    clearCache: client.cache.clearCache,
+
+    // Chat
+    startChat: client.chat.startChat,
+    loadOlderMessages: client.chat.loadOlderMessages,
+    sendMessage: client.chat.sendMessage,
+    retryMessage: client.chat.retryMessage,
+    sendPostback: client.chat.sendPostback,
+    notifyTyping: client.typing.notifyTyping,
+    setUserTyping: client.typing.setUserTyping,
+    stopGeneration: client.chat.stopGeneration,
+    regenerateResponse: client.chat.regenerateResponse,
+    markAsRead: client.chat.markAsRead,
+    submitFeedback: client.chat.submitFeedback,
+    getLiveAgent: client.handoff.getAgent,
+    disconnect: client.chat.disconnect,
+    setCallbacks: client.chat.setCallbacks,
+
+    // Events
+    on: client.events.on,
+    off: client.events.off,
+    once: client.events.once,
+
+    // Call
+    startCall: client.call.startCall,
+    disconnectCall: client.call.disconnectCall,
+    toggleMute: client.call.toggleMute,
+    getLocalStream: client.call.getLocalStream,
+    getInboundAudioEnergy: client.call.getInboundAudioEnergy,
+    getOutboundAudioEnergy: client.call.getOutboundAudioEnergy,
+    setCallCallbacks: client.call.setCallCallbacks
+  }
+}
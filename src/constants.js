@@ -8,3 +8,11 @@ export const MESSAGE_ROLES = {
   AGENT: 'agent', // this is human agent (dock side)
   SYSTEM: 'system' // this is system message, for ex "Agent joined" / "Agent left"
 }
+
+// WebSocket readyState values, not read off the WebSocket class since an injected one may lack them
+export const SOCKET_STATES = {
+  CONNECTING: 0,
+  OPEN: 1,
+  CLOSING: 2,
+  CLOSED: 3
+}
@@ -0,0 +1,167 @@
+/**
+ * Errors for Chat SDK
+ * Errors raised by the SDK are ChatSdkErrors, so apps can branch on their class
+ * or `code` instead of matching messages
+ */
+
+/**
+ * Machine-readable error codes
+ */
+export const ERROR_CODES = {
+  // Setup
+  NOT_INITIALIZED: 'not_initialized',
+  INVALID_CONFIG: 'invalid_config',
+  CHAT_NOT_STARTED: 'chat_not_started',
+  UNSUPPORTED_RUNTIME: 'unsupported_runtime',
+  // Auth
+  AUTHENTICATION_FAILED: 'authentication_failed',
+  UNAUTHORIZED: 'unauthorized',
+  TOKEN_REFRESH_FAILED: 'token_refresh_failed',
+  // Network & server
+  NETWORK_ERROR: 'network_error',
+  REQUEST_FAILED: 'request_failed',
+  SERVER_ERROR: 'server_error',
+  // Transport
+  STREAM_FAILED: 'stream_failed',
+  SOCKET_NOT_CONNECTED: 'socket_not_connected',
+  SOCKET_TIMEOUT: 'socket_timeout',
+  SOCKET_ERROR: 'socket_error',
+  ACK_TIMEOUT: 'ack_timeout',
+  MESSAGE_REJECTED: 'message_rejected',
+  LIVE_AGENT_ACTIVE: 'live_agent_active',
+  // Messages
+  MESSAGE_NOT_FOUND: 'message_not_found',
+  BLOCK_NOT_FOUND: 'block_not_found',
+  INVALID_FEEDBACK: 'invalid_feedback',
+  CANCELLED: 'cancelled',
+  SESSION_CLOSED: 'session_closed',
+  // Attachments
+  INVALID_ATTACHMENT: 'invalid_attachment',
+  ATTACHMENT_TOO_LARGE: 'attachment_too_large',
+  UPLOAD_FAILED: 'upload_failed',
+  // Call
+  CALL_UNSUPPORTED: 'call_unsupported',
+  CALL_FAILED: 'call_failed',
+  MEDIA_PERMISSION_DENIED: 'media_permission_denied',
+  MEDIA_UNAVAILABLE: 'media_unavailable'
+}
+
+/**
+ * @typedef {Object} ChatSdkErrorOptions
+ * @property {string} [code] - One of ERROR_CODES
+ * @property {boolean} [retryable] - Whether trying the same thing again may succeed
+ * @property {*} [cause] - The underlying error
+ * @property {number} [status] - HTTP status of the response that failed
+ */
+
+/**
+ * Base class of all SDK errors
+ */
+export class ChatSdkError extends Error {
+  /**
+   * @param {string} message - Human readable, safe to show to users
+   * @param {ChatSdkErrorOptions} [options]
+   */
+  constructor(
+    message,
+    { code = ERROR_CODES.REQUEST_FAILED, retryable = false, cause, status } = {}
+  ) {
+    super(message)
+    // Names are set explicitly, minifiers rename classes
+    this.name = 'ChatSdkError'
+    this.code = code
+    this.retryable = retryable
+    // Error's own cause option needs ES2022
+    this.cause = cause
+    if (status !== undefined) {
+      this.status = status
+    }
+  }
+}
+
+/**
+ * Authentication failed, or the token was rejected and could not be refreshed
+ */
+export class AuthError extends ChatSdkError {
+  /**
+   * @param {string} message
+   * @param {ChatSdkErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.AUTHENTICATION_FAILED, ...options })
+    this.name = 'AuthError'
+  }
+}
+
+/**
+ * The server could not be reached, retrying once the connection is back may succeed
+ */
+export class NetworkError extends ChatSdkError {
+  /**
+   * @param {string} message
+   * @param {ChatSdkErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.NETWORK_ERROR, retryable: true, ...options })
+    this.name = 'NetworkError'
+  }
+}
+
+/**
+ * The SSE stream or the live agent socket failed
+ */
+export class TransportError extends ChatSdkError {
+  /**
+   * @param {string} message
+   * @param {ChatSdkErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.STREAM_FAILED, retryable: true, ...options })
+    this.name = 'TransportError'
+  }
+}
+
+/**
+ * A voice call could not be started or failed
+ */
+export class CallError extends ChatSdkError {
+  /**
+   * @param {string} message
+   * @param {ChatSdkErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.CALL_FAILED, ...options })
+    this.name = 'CallError'
+  }
+}
+
+/**
+ * The microphone could not be used, e.g. the user denied access
+ */
+export class MediaPermissionError extends CallError {
+  /**
+   * @param {string} message
+   * @param {ChatSdkErrorOptions} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.MEDIA_PERMISSION_DENIED, ...options })
+    this.name = 'MediaPermissionError'
+  }
+}
+
+/**
+ * Create the error for a response that is not ok
+ * @param {Response} response
+ * @param {string} message
+ * @returns {ChatSdkError}
+ */
+export function createResponseError(response, message) {
+  const { status } = response
+  if (status === 401 || status === 403) {
+    return new AuthError(message, { code: ERROR_CODES.UNAUTHORIZED, status })
+  }
+  if (status === 429 || status >= 500) {
+    return new ChatSdkError(message, { code: ERROR_CODES.SERVER_ERROR, retryable: true, status })
+  }
+  return new ChatSdkError(message, { code: ERROR_CODES.REQUEST_FAILED, status })
+}
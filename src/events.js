@@ -0,0 +1,148 @@
+/**
+ * Event Emitter for Chat SDK
+ * Lets any number of listeners subscribe to chat, socket, transport and call events
+ */
+
+/**
+ * Event names and the arguments their handlers receive
+ * @typedef {Object} EventMap
+ * @property {[message: Object]} messageAdd - A message was added
+ * @property {[index: number, updatedMsg: Object]} messageUpdate - A message was updated
+ * @property {[id: string, appendedText: string]} messageDelta - Text was appended to a streamed reply, before its messageUpdate
+ * @property {[messages: Object[]]} messagesPrepend - Older messages were loaded before the others
+ * @property {[messages: Object[]]} messagesSync - Cached messages were replaced by the server's
+ * @property {[isTyping: boolean]} typing - The live agent started or stopped typing
+ * @property {[isLiveAgent: boolean]} liveAgentMode - The chat was handed to or back from a live agent
+ * @property {[status: import('./handoff.js').QueueStatus]} queueUpdate - The position in the live agent queue changed
+ * @property {[agent: import('./handoff.js').LiveAgent | null]} agentJoined - A live agent joined the chat
+ * @property {[agent: import('./handoff.js').LiveAgent | null]} agentLeft - A live agent left the chat
+ * @property {[from: import('./handoff.js').LiveAgent | null, to: import('./handoff.js').LiveAgent | null]} agentTransfer - The chat was transferred to another agent
+ * @property {[sessionId: string]} sessionUpdate - The session ID changed
+ * @property {[transport: 'sse' | 'socket']} transportUpdate - The transport changed
+ * @property {[attempt: number, delay: number]} reconnecting - The socket is about to reconnect
+ * @property {[attempts: number]} reconnected - The socket is back after a drop
+ * @property {[status: string]} callStatus - The call status changed
+ * @property {[error: string | null, details: import('./errors.js').ChatSdkError | null]} callError - A call error occurred, or was cleared
+ * @property {[error: import('./errors.js').AuthError]} authError - The token could not be refreshed
+ */
+
+/**
+ * @typedef {keyof EventMap} EventName
+ */
+
+/**
+ * Turn a callback name into its event name, e.g. `onMessageAdd` into `messageAdd`
+ * @param {string} callbackName
+ * @returns {string}
+ */
+function toEventName(callbackName) {
+  return callbackName.charAt(2).toLowerCase() + callbackName.slice(3)
+}
+
+/**
+ * Create an event emitter
+ * @param {ReturnType<typeof import('./logger.js').createLogger>} logger - Reports handlers that throw
+ */
+export function createEmitter(logger) {
+  /** @type {Map<string, Set<Function>>} */
+  const listeners = new Map()
+  /** @type {Map<string, Function>} */
+  const callbacks = new Map()
+
+  /**
+   * Subscribe to an event
+   * @param {EventName} event
+   * @param {Function} handler
+   * @returns {() => void} Unsubscribes the handler
+   */
+  function on(event, handler) {
+    if (!listeners.has(event)) {
+      listeners.set(event, new Set())
+    }
+    listeners.get(event).add(handler)
+    return () => off(event, handler)
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {EventName} event
+   * @param {Function} handler
+   */
+  function off(event, handler) {
+    const handlers = listeners.get(event)
+    if (!handlers) {
+      return
+    }
+    handlers.delete(handler)
+    // once() wraps the handler, so it can be removed with the original one
+    handlers.forEach((registered) => {
+      if (registered.handler === handler) {
+        handlers.delete(registered)
+      }
+    })
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @param {EventName} event
+   * @param {Function} handler
+   * @returns {() => void} Unsubscribes the handler
+   */
+  function once(event, handler) {
+    const wrapper = (...args) => {
+      off(event, wrapper)
+      handler(...args)
+    }
+    wrapper.handler = handler
+    return on(event, wrapper)
+  }
+
+  /**
+   * Call every handler of an event
+   * A throwing handler is logged and does not keep the others from running
+   * @param {EventName} event
+   * @param {...*} args
+   */
+  function emit(event, ...args) {
+    const handlers = listeners.get(event)
+    if (!handlers) {
+      return
+    }
+    // Copy, so handlers added or removed while emitting don't affect this round
+    ;[...handlers].forEach((handler) => {
+      try {
+        handler(...args)
+      } catch (error) {
+        logger.error(`Error in "${event}" handler: `, error)
+      }
+    })
+  }
+
+  /**
+   * Register `on<Event>` callbacks, one per event
+   * A callback replaces the one previously set for the same event, `undefined` removes it
+   * @param {Object<string, Function | undefined>} newCallbacks
+   */
+  function setCallbacks(newCallbacks) {
+    Object.entries(newCallbacks).forEach(([name, callback]) => {
+      const event = toEventName(name)
+      const previous = callbacks.get(event)
+      if (previous) {
+        off(event, previous)
+        callbacks.delete(event)
+      }
+      if (typeof callback === 'function') {
+        callbacks.set(event, callback)
+        on(event, callback)
+      }
+    })
+  }
+
+  return {
+    on,
+    off,
+    once,
+    emit,
+    setCallbacks
+  }
+}
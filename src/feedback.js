@@ -0,0 +1,61 @@
+/**
+ * Feedback for Chat SDK
+ * Normalizes the user's rating of a reply, as given by the app or the server
+ */
+
+/**
+ * @typedef {Object} MessageFeedback
+ * @property {'up' | 'down'} rating - Thumbs up or down
+ * @property {string} [reason] - e.g. 'inaccurate', 'unhelpful', picked from a list
+ * @property {string} [comment] - Free text from the user
+ * @property {string} [submittedAt]
+ */
+
+// A Map, so names inherited by objects like 'toString' are not ratings
+const FEEDBACK_RATINGS = new Map([
+  ['up', 'up'],
+  ['thumbs_up', 'up'],
+  ['positive', 'up'],
+  ['like', 'up'],
+  ['1', 'up'],
+  ['true', 'up'],
+  ['down', 'down'],
+  ['thumbs_down', 'down'],
+  ['negative', 'down'],
+  ['dislike', 'down'],
+  ['-1', 'down'],
+  ['false', 'down']
+])
+
+/**
+ * Normalize a rating
+ * @param {*} rating - e.g. 'up', 'thumbs_down', 1 or false
+ * @returns {'up' | 'down' | undefined} undefined for ratings the SDK doesn't know
+ */
+export function normalizeRating(rating) {
+  return rating === undefined || rating === null ? undefined : FEEDBACK_RATINGS.get(String(rating))
+}
+
+/**
+ * Normalize the feedback of a message received from the server
+ * Also reads the `rating` field some servers send on the message instead of `feedback`
+ * @param {Object} msg - Message from the history
+ * @returns {MessageFeedback | undefined} undefined when the message was not rated
+ */
+export function normalizeFeedback(msg) {
+  const raw = msg?.feedback ?? {
+    rating: msg?.rating,
+    reason: msg?.feedbackReason,
+    comment: msg?.feedbackComment
+  }
+  const rating = normalizeRating(raw.rating)
+  if (!rating) {
+    return undefined
+  }
+  return {
+    rating,
+    reason: raw.reason,
+    comment: raw.comment,
+    submittedAt: raw.submittedAt ?? raw.createdAt
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * Handoff Service for Chat SDK
+ * Follows the chat being handed to a live agent: the queue, the agents joining, leaving
+ * and transferring it, and the chat going back to the bot
+ */
+
+import { uuidv7 } from './utils.js'
+import { MESSAGE_ROLES } from './constants.js'
+
+/**
+ * @typedef {Object} LiveAgent
+ * @property {string} [id]
+ * @property {string} [name]
+ * @property {string} [avatar] - URL of the agent's picture
+ */
+
+/**
+ * @typedef {Object} QueueStatus
+ * @property {number} [position] - 1-based position in the queue
+ * @property {number} [estimatedWait] - Estimated wait in seconds
+ */
+
+/**
+ * @typedef {'liveAgentStart' | 'liveAgentEnd' | 'agentJoined' | 'agentLeft' | 'agentTransfer' | 'queueUpdate'} HandoffEventType
+ */
+
+/**
+ * Normalize an agent received from the server, whatever names its fields use
+ * @param {Object} [raw]
+ * @returns {LiveAgent | null} null when the server did not say which agent
+ */
+function normalizeAgent(raw) {
+  if ((raw?.agentId ?? raw?.id ?? raw?.agentName ?? raw?.name) === undefined) {
+    return null
+  }
+  return {
+    id: raw.agentId ?? raw.id,
+    name: raw.agentName ?? raw.name,
+    avatar: raw.avatar ?? raw.avatarUrl ?? raw.agentAvatar
+  }
+}
+
+/**
+ * Normalize a queue status received from the server
+ * @param {Object} raw
+ * @returns {QueueStatus}
+ */
+function normalizeQueueStatus(raw) {
+  return {
+    position: raw.position ?? raw.queuePosition,
+    estimatedWait: raw.estimatedWait ?? raw.waitTime
+  }
+}
+
+/**
+ * Describe a wait for people, e.g. `about 3 minutes`
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatWait(seconds) {
+  const minutes = Math.max(1, Math.round(seconds / 60))
+  return `about ${minutes} minute${minutes === 1 ? '' : 's'}`
+}
+
+/**
+ * Create a handoff service bound to a client
+ * @param {import('./client.js').ClientContext} client - Services of the owning client
+ */
+export function createHandoffService(client) {
+  let active = false
+  /** @type {LiveAgent | null} */
+  let agent = null
+
+  /**
+   * Add a system message describing a handoff event
+   * @param {HandoffEventType} type
+   * @param {string} text
+   * @param {Object} details - Agent or queue data of the event
+   */
+  function addSystemMessage(type, text, details) {
+    client.chat.addMessage({
+      id: uuidv7(),
+      role: MESSAGE_ROLES.SYSTEM,
+      text,
+      handoff: { type, ...details },
+      done: true,
+      timestamp: new Date().toISOString()
+    })
+  }
+
+  /**
+   * The chat is being handed to a live agent
+   */
+  function start() {
+    if (active) {
+      return
+    }
+    active = true
+    client.events.emit('liveAgentMode', true)
+    addSystemMessage('liveAgentStart', 'Connecting you to an agent...', {})
+  }
+
+  /**
+   * The chat went back to the bot
+   */
+  function end() {
+    if (!active) {
+      return
+    }
+    const lastAgent = agent
+    reset()
+    client.events.emit('liveAgentMode', false)
+    addSystemMessage('liveAgentEnd', 'The chat with the agent ended', { agent: lastAgent })
+  }
+
+  /**
+   * Forget the handoff without notifying, e.g. once the chat is closed
+   */
+  function reset() {
+    active = false
+    agent = null
+  }
+
+  /**
+   * The position in the queue for a live agent changed
+   * @param {Object} data
+   */
+  function handleQueueUpdate(data) {
+    start()
+    const status = normalizeQueueStatus(data)
+    client.events.emit('queueUpdate', status)
+
+    const parts = []
+    if (status.position !== undefined) {
+      parts.push(`You are number ${status.position} in the queue.`)
+    }
+    if (status.estimatedWait !== undefined) {
+      parts.push(`Estimated wait: ${formatWait(status.estimatedWait)}.`)
+    }
+    addSystemMessage(
+      'queueUpdate',
+      parts.length ? parts.join(' ') : 'Waiting for an agent...',
+      status
+    )
+  }
+
+  /**
+   * A live agent joined the chat
+   * @param {Object} data
+   */
+  function handleAgentJoined(data) {
+    start()
+    agent = normalizeAgent(data.agent ?? data)
+    client.events.emit('agentJoined', agent)
+    addSystemMessage('agentJoined', `${agent?.name ?? 'An agent'} joined the chat`, { agent })
+  }
+
+  /**
+   * A live agent left the chat
+   * @param {Object} data
+   */
+  function handleAgentLeft(data) {
+    const left = normalizeAgent(data.agent ?? data) ?? agent
+    if (!left?.id || left.id === agent?.id) {
+      agent = null
+    }
+    client.events.emit('agentLeft', left)
+    addSystemMessage('agentLeft', `${left?.name ?? 'The agent'} left the chat`, { agent: left })
+  }
+
+  /**
+   * The chat was transferred to another agent
+   * @param {Object} data
+   */
+  function handleTransfer(data) {
+    const from = normalizeAgent(data.from) ?? agent
+    const to = normalizeAgent(data.to)
+    agent = to
+    client.events.emit('agentTransfer', from, to)
+    addSystemMessage(
+      'agentTransfer',
+      to?.name
+        ? `You are being transferred to ${to.name}`
+        : 'You are being transferred to another agent',
+      { from, agent: to }
+    )
+  }
+
+  /**
+   * Get the live agent currently in the chat
+   * @returns {LiveAgent | null}
+   */
+  function getAgent() {
+    return agent
+  }
+
+  return {
+    start,
+    end,
+    reset,
+    handleQueueUpdate,
+    handleAgentJoined,
+    handleAgentLeft,
+    handleTransfer,
+    getAgent
+  }
+}
@@ -3,21 +3,116 @@
  * Handles all HTTP requests without depending on external state
  */
 
-import { getCredentials, getExternalId } from './chat.js'
+import {
+  AuthError,
+  ChatSdkError,
+  ERROR_CODES,
+  NetworkError,
+  createResponseError
+} from './errors.js'
+import { normalizeAttachment } from './attachments.js'
 
 const AUTHENTICATION_ERROR = 'Something went wrong initializing the chat'
 const INITIALIZATION_ERROR = 'Chat SDK not initialized'
 
+/**
+ * @typedef {Object} PageOptions
+ * @property {number} [limit] - Max items to return
+ * @property {string} [before] - Cursor, returns items older than this one
+ * @property {string} [after] - Cursor, returns items newer than this one
+ */
+
+/**
+ * Add pagination params to a query
+ * @param {URLSearchParams} queryParams
+ * @param {PageOptions} [page]
+ */
+function setPageParams(queryParams, { limit, before, after } = {}) {
+  if (limit !== undefined) {
+    queryParams.set('limit', String(limit))
+  }
+  if (before) {
+    queryParams.set('before', before)
+  }
+  if (after) {
+    queryParams.set('after', after)
+  }
+}
+
+/**
+ * fetch, rejecting with a NetworkError when the request never reaches the server
+ * @param {typeof fetch} fetchImpl
+ * @param {string} url
+ * @param {RequestInit} options
+ * @returns {Promise<Response>}
+ */
+async function request(fetchImpl, url, options) {
+  try {
+    return await fetchImpl(url, options)
+  } catch (error) {
+    if (options.signal?.aborted) {
+      throw new ChatSdkError('Request cancelled', { code: ERROR_CODES.CANCELLED, cause: error })
+    }
+    throw new NetworkError('Unable to reach the server, please check your connection', {
+      cause: error
+    })
+  }
+}
+
+/**
+ * POST a body with XMLHttpRequest, which unlike fetch reports upload progress
+ * @param {string} url
+ * @param {{ headers: Object, body: FormData, signal?: AbortSignal, onProgress?: (progress: number) => void }} options
+ * @returns {Promise<{ ok: boolean, status: number, json: () => Promise<any> }>} Enough of a Response for the callers
+ */
+function requestWithProgress(url, { headers, body, signal, onProgress }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new ChatSdkError('Request cancelled', { code: ERROR_CODES.CANCELLED }))
+      return
+    }
+
+    const xhr = new XMLHttpRequest()
+    const onAbort = () => xhr.abort()
+    xhr.open('POST', url)
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value))
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) {
+        onProgress?.(event.loaded / event.total)
+      }
+    }
+    xhr.onload = () => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve({
+        ok: xhr.status >= 200 && xhr.status < 300,
+        status: xhr.status,
+        json: async () => JSON.parse(xhr.responseText)
+      })
+    }
+    xhr.onerror = () => {
+      signal?.removeEventListener('abort', onAbort)
+      reject(new NetworkError('Unable to reach the server, please check your connection'))
+    }
+    xhr.onabort = () => {
+      signal?.removeEventListener('abort', onAbort)
+      reject(new ChatSdkError('Request cancelled', { code: ERROR_CODES.CANCELLED }))
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+    xhr.send(body)
+  })
+}
+
 /**
  * Authenticate with the chat service
- * @param {{ endpoint: string }} credentials
+ * @param {{ endpoint: string, fetch?: typeof fetch }} credentials
  * @returns {Promise<object>} Authentication response data
  */
 export async function authenticate(payload) {
   const { endpoint } = payload
   const url = `${endpoint}/config`
+  const fetchImpl = payload.fetch ?? globalThis.fetch
 
-  const response = await fetch(url, {
+  const response = await request(fetchImpl, url, {
     method: 'GET',
     headers: {
       'Content-Type': 'application/json'
@@ -25,8 +120,12 @@ export async function authenticate(payload) {
   })
 
   if (!response.ok) {
-    const errorPayload = await response.json()
-    throw new Error(errorPayload?.error || AUTHENTICATION_ERROR)
+    const errorPayload = await response.json().catch(() => null)
+    throw new AuthError(errorPayload?.error || AUTHENTICATION_ERROR, {
+      // The config can't be loaded while the server is down, that passes
+      retryable: response.status === 429 || response.status >= 500,
+      status: response.status
+    })
   }
 
   const res = await response.json()
@@ -36,67 +135,195 @@ export async function authenticate(payload) {
 }
 
 /**
- * Get chat history for the current device
- * @returns {Promise<{ sessions: Array }>}
+ * Create an HTTP service bound to a client
+ * @param {import('./client.js').ClientContext} client - Services of the owning client
  */
-export async function getHistory() {
-  const queryParams = new URLSearchParams({
-    externalId: getExternalId()
-  })
-  const response = await fetchRequest(`/sessions?${queryParams.toString()}`, 'GET')
+export function createHttpService(client) {
+  /**
+   * Get chat history for the current device
+   * Without options every session is returned, as before pagination existed
+   * @param {PageOptions} [page] - Session ID cursors
+   * @returns {Promise<{ sessions: Array, hasMore?: boolean }>}
+   */
+  async function getHistory(page) {
+    const queryParams = new URLSearchParams({
+      externalId: await client.chat.getExternalId()
+    })
+    setPageParams(queryParams, page)
+    const response = await fetchRequest(`/sessions?${queryParams.toString()}`, 'GET')
 
-  if (!response.ok) {
-    throw new Error('Unable to load history, please try again later')
+    if (!response.ok) {
+      throw createResponseError(response, 'Unable to load history, please try again later')
+    }
+
+    return response.json()
   }
 
-  return response.json()
-}
+  /**
+   * Get messages for a specific session
+   * Without options the whole session is returned, as before pagination existed
+   * @param {string} sessionId
+   * @param {PageOptions} [page] - Message ID cursors
+   * @returns {Promise<{ sessionHistory: Array, hasMore?: boolean }>}
+   */
+  async function getMessages(sessionId, page) {
+    const queryParams = new URLSearchParams({
+      sessionId
+    })
+    setPageParams(queryParams, page)
+    const response = await fetchRequest(`/session?${queryParams.toString()}`, 'GET')
 
-/**
- * Get messages for a specific session
- * @param {string} sessionId
- * @returns {Promise<{ sessionHistory: Array }>}
- */
-export async function getMessages(sessionId) {
-  const queryParams = new URLSearchParams({
-    sessionId
-  })
-  const response = await fetchRequest(`/session?${queryParams.toString()}`, 'GET')
+    if (!response.ok) {
+      throw createResponseError(response, 'Unable to load messages, please try again later')
+    }
 
-  if (!response.ok) {
-    throw new Error('Unable to load messages, please try again later')
+    return response.json()
   }
 
-  return response.json()
-}
+  /**
+   * Internal fetch request helper
+   * A 401 is retried once with a refreshed token when a `getToken` provider is set
+   * @param {string} pathname
+   * @param {string} method
+   * @param {object|null} body
+   * @returns {Promise<Response>}
+   */
+  async function fetchRequest(pathname, method = 'GET', body = null) {
+    const credentials = client.chat.getCredentials()
 
-/**
- * Internal fetch request helper
- * @param {string} pathname
- * @param {string} method
- * @param {object|null} body
- * @returns {Promise<Response>}
- */
-async function fetchRequest(pathname, method = 'GET', body = null) {
-  const credentials = getCredentials()
+    const { endpoint } = credentials || {}
+    if (!endpoint) {
+      throw new ChatSdkError(INITIALIZATION_ERROR, { code: ERROR_CODES.NOT_INITIALIZED })
+    }
+
+    const url = `${endpoint}${pathname}`
+    const fetchImpl = client.chat.getFetch()
+
+    const send = (token) => {
+      const headers = {
+        'Content-Type': 'application/json'
+      }
+      if (token) {
+        headers.Authorization = `Bearer ${token}`
+      }
+      return request(fetchImpl, url, {
+        headers,
+        method,
+        body: body ? JSON.stringify(body) : null
+      })
+    }
+
+    const response = await send(await client.auth.getToken())
+    if (response.status !== 401 || !client.auth.canRefresh()) {
+      return response
+    }
+
+    client.logger.info('Request unauthorized, retrying with a refreshed token')
+    return send(await client.auth.getToken({ forceRefresh: true }))
+  }
+
+  /**
+   * Upload a file to attach to a message
+   * Progress is reported as the file goes out when XMLHttpRequest is available, and only on
+   * completion with fetch (e.g. in Node or with a custom fetch), which can't report it
+   * @param {Blob} file - A File, or a Blob with a `name`
+   * @param {{ onProgress?: (progress: number) => void, signal?: AbortSignal }} [options]
+   * @returns {Promise<import('./attachments.js').Attachment>}
+   */
+  async function uploadFile(file, { onProgress, signal } = {}) {
+    const credentials = client.chat.getCredentials()
+    if (!credentials?.endpoint) {
+      throw new ChatSdkError(INITIALIZATION_ERROR, { code: ERROR_CODES.NOT_INITIALIZED })
+    }
+
+    const queryParams = new URLSearchParams()
+    const sessionId = client.chat.getSessionId()
+    if (sessionId) {
+      queryParams.set('sessionId', sessionId)
+    }
+    if (!client.auth.usesToken()) {
+      queryParams.set('externalId', await client.chat.getExternalId())
+    }
+    const url = `${credentials.endpoint}/upload?${queryParams.toString()}`
+    const useXhr = !credentials.fetch && typeof XMLHttpRequest !== 'undefined'
+    if (signal?.aborted) {
+      throw new ChatSdkError('Request cancelled', { code: ERROR_CODES.CANCELLED })
+    }
+
+    const send = (token) => {
+      // No Content-Type, the multipart boundary is set from the body
+      const headers = {}
+      if (token) {
+        headers.Authorization = `Bearer ${token}`
+      }
+      const body = new FormData()
+      body.append('file', file, file.name ?? 'file')
+      return useXhr
+        ? requestWithProgress(url, { headers, body, signal, onProgress })
+        : request(client.chat.getFetch(), url, { method: 'POST', headers, body, signal })
+    }
+
+    let response = await send(await client.auth.getToken())
+    if (response.status === 401 && client.auth.canRefresh()) {
+      client.logger.info('Upload unauthorized, retrying with a refreshed token')
+      response = await send(await client.auth.getToken({ forceRefresh: true }))
+    }
 
-  const { endpoint, token } = credentials || {}
-  if (!endpoint) {
-    throw new Error(INITIALIZATION_ERROR)
+    if (!response.ok) {
+      const error = createResponseError(response, `Unable to upload ${file.name ?? 'the file'}`)
+      if (error.code === ERROR_CODES.REQUEST_FAILED) {
+        // e.g. rejected by the server for its size or type
+        error.code = ERROR_CODES.UPLOAD_FAILED
+      }
+      throw error
+    }
+
+    const res = await response.json()
+    onProgress?.(1)
+    return normalizeAttachment(res.data ?? res)
   }
 
-  const url = `${endpoint}${pathname}`
+  /**
+   * Tell the server to stop generating the reply to a request
+   * @param {string} sessionId
+   * @param {string} [requestId]
+   * @returns {Promise<void>}
+   */
+  async function stopGeneration(sessionId, requestId) {
+    const response = await fetchRequest('/stop', 'POST', { sessionId, requestId })
 
-  const headers = {
-    'Content-Type': 'application/json'
+    if (!response.ok) {
+      throw createResponseError(response, 'Unable to stop the reply')
+    }
   }
-  if (token) {
-    headers.Authorization = `Bearer ${token}`
+
+  /**
+   * Send the user's feedback on a reply
+   * @param {string} sessionId
+   * @param {string} messageId
+   * @param {import('./feedback.js').MessageFeedback} feedback
+   * @returns {Promise<void>}
+   */
+  async function submitFeedback(sessionId, messageId, { rating, reason, comment }) {
+    const response = await fetchRequest('/feedback', 'POST', {
+      sessionId,
+      messageId,
+      rating,
+      reason,
+      comment
+    })
+
+    if (!response.ok) {
+      throw createResponseError(response, 'Unable to send feedback, please try again later')
+    }
   }
 
-  return fetch(url, {
-    headers,
-    method,
-    body: body ? JSON.stringify(body) : null
-  })
+  return {
+    getHistory,
+    getMessages,
+    stopGeneration,
+    submitFeedback,
+    uploadFile,
+    fetchRequest
+  }
 }
@@ -18,7 +18,10 @@
  * // Authenticate first
  * const config = await authenticate({ endpoint: '...', apiKey: '...' })
  *
- * // Set up callbacks for state updates
+ * // Subscribe to events, as many listeners as needed
+ * const unsubscribe = on('messageAdd', (message) => updateUI(message))
+ *
+ * // Or set up callbacks for state updates
  * setCallbacks({
  *   onMessage: (msg) => console.log('New message:', msg),
  *   onMessageAdd: (message) => updateUI(message),
@@ -35,17 +38,55 @@
  *
  * // Disconnect when done
  * disconnect()
+ *
+ * // Or create isolated clients, each with its own state
+ * const support = createChatClient({ endpoint: '...' })
+ * await support.startChat()
  * ```
  */
 
+import { createChatClient } from './client.js'
+
+// Client factory, for running several isolated conversations
+export { createChatClient } from './client.js'
+
+// Default client backing the top-level functions below
+const defaultClient = createChatClient()
+
 // HTTP API functions
-export { authenticate, getHistory, getMessages } from './http.js'
+export const { authenticate, getHistory, getMessages } = defaultClient
+
+// Session management functions
+export const { listSessions, renameSession, archiveSession, pinSession, deleteSession } =
+  defaultClient
+
+// Message cache functions
+export const { getCachedSessions, getCachedMessages, clearCache } = defaultClient
 
 // Chat functions
-export { initialize, startChat, sendMessage, disconnect, setCallbacks } from './chat.js'
+export const {
+  initialize,
+  startChat,
+  loadOlderMessages,
+  sendMessage,
+  retryMessage,
+  sendPostback,
+  notifyTyping,
+  setUserTyping,
+  stopGeneration,
+  regenerateResponse,
+  markAsRead,
+  submitFeedback,
+  getLiveAgent,
+  disconnect,
+  setCallbacks
+} = defaultClient
+
+// Event subscriptions
+export const { on, off, once } = defaultClient
 
 // Call functions
-export {
+export const {
   startCall,
   disconnectCall,
   toggleMute,
@@ -53,7 +94,29 @@ export {
   getInboundAudioEnergy,
   getOutboundAudioEnergy,
   setCallCallbacks
-} from './call.js'
+} = defaultClient
+
+// Storage adapters
+export {
+  createLocalStorage,
+  createSessionStorage,
+  createMemoryStorage,
+  createCookieStorage
+} from './storage.js'
+
+// Message caches
+export { createIndexedDBCache, createMemoryCache } from './cache.js'
+
+// Errors
+export {
+  ChatSdkError,
+  AuthError,
+  NetworkError,
+  TransportError,
+  CallError,
+  MediaPermissionError,
+  ERROR_CODES
+} from './errors.js'
 
 // Constants
 export { MESSAGE_ROLES } from './constants.js'
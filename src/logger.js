@@ -0,0 +1,180 @@
+/**
+ * Logger for Chat SDK
+ * Filters SDK logs by level and redacts credentials, user identifiers and SDP bodies
+ * before they reach the sink
+ */
+
+import { ChatSdkError, ERROR_CODES } from './errors.js'
+
+/**
+ * @typedef {'silent' | 'error' | 'warn' | 'info' | 'debug'} LogLevel
+ */
+
+/**
+ * @typedef {Object} LogSink
+ * @property {(...args: any[]) => void} [error]
+ * @property {(...args: any[]) => void} [warn]
+ * @property {(...args: any[]) => void} [info]
+ * @property {(...args: any[]) => void} [debug]
+ * @property {(...args: any[]) => void} [log] - Used for levels the sink has no method for
+ */
+
+/**
+ * @typedef {Object} LoggerOptions
+ * @property {LogLevel} [level='warn']
+ * @property {LogSink} [sink=console]
+ */
+
+export const LOG_LEVELS = {
+  silent: 0,
+  error: 1,
+  warn: 2,
+  info: 3,
+  debug: 4
+}
+
+const REDACTED = '[REDACTED]'
+const MAX_DEPTH = 6
+
+// Object keys whose values are never logged
+const SENSITIVE_KEYS = new Set([
+  'token',
+  'accesstoken',
+  'refreshtoken',
+  'authorization',
+  'apikey',
+  'password',
+  'externalid',
+  'sdp',
+  'candidate'
+])
+
+const STRING_PATTERNS = [
+  // Query params in socket URLs
+  [/([?&](?:token|externalId|access_token)=)[^&#\s]+/gi, `$1${REDACTED}`],
+  [/(Bearer\s+)[\w.~+/-]+=*/gi, `$1${REDACTED}`],
+  // JWTs anywhere else
+  [/eyJ[\w-]+\.[\w-]+\.[\w-]*/g, REDACTED]
+]
+
+/**
+ * Redact a string
+ * @param {string} value
+ * @returns {string}
+ */
+function redactString(value) {
+  // SDP bodies start with the protocol version line
+  if (value.startsWith('v=0') && /\r?\n/.test(value)) {
+    return '[REDACTED SDP]'
+  }
+  return STRING_PATTERNS.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    value
+  )
+}
+
+/**
+ * Redact anything that is about to be logged, without touching the original
+ * @param {*} value
+ * @param {number} [depth]
+ * @param {WeakSet<object>} [seen]
+ * @returns {*}
+ */
+export function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value)
+  }
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+  if (value instanceof Error) {
+    const message = redactString(value.message)
+    if (message === value.message) {
+      return value
+    }
+    const error = new Error(message)
+    error.name = value.name
+    error.stack = value.stack && redactString(value.stack)
+    return error
+  }
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return '[...]'
+  }
+  seen.add(value)
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen))
+  }
+
+  const prototype = Object.getPrototypeOf(value)
+  if (prototype !== Object.prototype && prototype !== null) {
+    // Serializable instances (RTCSessionDescription, RTCIceCandidate, URL) are redacted through
+    // their JSON form, others (events, responses, sockets) are logged as they are
+    return typeof value.toJSON === 'function' ? redact(value.toJSON(), depth + 1, seen) : value
+  }
+
+  const result = {}
+  Object.entries(value).forEach(([key, entry]) => {
+    result[key] =
+      SENSITIVE_KEYS.has(key.toLowerCase()) && entry != null
+        ? REDACTED
+        : redact(entry, depth + 1, seen)
+  })
+  return result
+}
+
+/**
+ * Create a logger
+ * @param {LoggerOptions} [options]
+ */
+export function createLogger(options) {
+  let level = 'warn'
+  /** @type {LogSink} */
+  let sink = console
+
+  /**
+   * Change the level and sink
+   * @param {LoggerOptions} [newOptions]
+   */
+  function configure({ level: newLevel, sink: newSink } = {}) {
+    if (newLevel !== undefined) {
+      if (!(newLevel in LOG_LEVELS)) {
+        throw new ChatSdkError(
+          `Invalid log level "${newLevel}", expected one of ${Object.keys(LOG_LEVELS).join(', ')}`,
+          { code: ERROR_CODES.INVALID_CONFIG }
+        )
+      }
+      level = newLevel
+    }
+    if (newSink !== undefined) {
+      sink = newSink
+    }
+  }
+
+  /**
+   * Write a log entry if its level is enabled
+   * @param {Exclude<LogLevel, 'silent'>} entryLevel
+   * @param {any[]} args
+   */
+  function write(entryLevel, args) {
+    if (LOG_LEVELS[entryLevel] > LOG_LEVELS[level]) {
+      return
+    }
+    const method = sink[entryLevel] ?? sink.log
+    try {
+      method?.call(sink, '[chat-sdk]', ...args.map((arg) => redact(arg)))
+    } catch {
+      // A broken sink must not break the SDK
+    }
+  }
+
+  configure(options)
+
+  return {
+    configure,
+    error: (...args) => write('error', args),
+    warn: (...args) => write('warn', args),
+    info: (...args) => write('info', args),
+    debug: (...args) => write('debug', args)
+  }
+}
@@ -0,0 +1,400 @@
+/**
+ * Outbox Service for Chat SDK
+ * Queues outbound user messages while the browser is offline or the transport is down,
+ * persists them, and flushes them in order once the connection is back
+ */
+
+import { getBackoffDelay, isOnline } from './utils.js'
+import { MESSAGE_ROLES } from './constants.js'
+import { toAttachmentRef } from './attachments.js'
+import { ChatSdkError, ERROR_CODES, NetworkError } from './errors.js'
+
+const OUTBOX_STORAGE_KEY = 'chatOutbox'
+
+// Retries of a message that failed on the network while the device looks online,
+// e.g. in Node, where no online event ever comes
+const NETWORK_RETRY_POLICY = {
+  maxAttempts: 5,
+  baseDelay: 1000,
+  maxDelay: 30000
+}
+
+/**
+ * @typedef {'queued' | 'sending' | 'sent' | 'failed'} MessageStatus
+ */
+
+/**
+ * @typedef {Object} OutboxItem
+ * @property {string} id - Id of the user message
+ * @property {string} [sessionId] - Session the message was written in
+ * @property {string} [endpoint] - Endpoint of the client that queued it
+ * @property {string} text
+ * @property {string} [html]
+ * @property {Object} [context]
+ * @property {{ blockId: string, value: * }} [postback]
+ * @property {import('./attachments.js').Attachment[]} [attachments] - Already uploaded
+ * @property {string} timestamp
+ * @property {MessageStatus} status
+ */
+
+/**
+ * Read persisted outbox items
+ * @param {import('./storage.js').StorageAdapter} storage
+ * @returns {Promise<OutboxItem[]>}
+ */
+async function loadItems(storage) {
+  try {
+    return JSON.parse(await storage.get(OUTBOX_STORAGE_KEY)) ?? []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Persist outbox items
+ * @param {import('./storage.js').StorageAdapter} storage
+ * @param {OutboxItem[]} items
+ */
+async function saveItems(storage, items) {
+  try {
+    if (items.length) {
+      await storage.set(OUTBOX_STORAGE_KEY, JSON.stringify(items))
+    } else {
+      await storage.remove(OUTBOX_STORAGE_KEY)
+    }
+  } catch {
+    // Storage unavailable, the queue still works in memory
+  }
+}
+
+/**
+ * A failure worth retrying once the connection is back, as opposed to a rejected message
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isNetworkError(error) {
+  return !isOnline() || error instanceof NetworkError
+}
+
+/**
+ * Create an outbox service bound to a client
+ * @param {import('./client.js').ClientContext} client - Services of the owning client
+ */
+export function createOutboxService(client) {
+  /** @type {OutboxItem[]} */
+  let queue = []
+  /** @type {Map<string, { promise: Promise<string>, resolve: Function, reject: Function }>} */
+  const pending = new Map()
+  let flushing = false
+  /** @type {Map<string, number>} Network failures of each item since it was last delivered */
+  const networkFailures = new Map()
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let retryTimeout
+  // Storage writes are read-modify-write, so they run one after the other
+  let storageWrites = Promise.resolve()
+
+  const onOnline = () => flush()
+  let listening = false
+
+  /**
+   * Flush the queue when the browser comes back online, until the chat is closed
+   */
+  function listenOnline() {
+    if (!listening && typeof window !== 'undefined') {
+      window.addEventListener('online', onOnline)
+      listening = true
+    }
+  }
+
+  /**
+   * Run a storage write after the ones already scheduled
+   * @param {(storage: import('./storage.js').StorageAdapter) => Promise<void>} write
+   * @returns {Promise<void>}
+   */
+  function scheduleWrite(write) {
+    const storage = client.chat.getStorage()
+    storageWrites = storageWrites.then(() => write(storage))
+    return storageWrites
+  }
+
+  /**
+   * Persist the items of this client, keeping the ones of other sessions untouched
+   * Items written before their session existed can't be resumed, they stay in memory only
+   * @returns {Promise<void>}
+   */
+  function persist() {
+    const items = queue.filter((item) => item.sessionId).map((item) => ({ ...item }))
+    return scheduleWrite(async (storage) => {
+      const ids = new Set(items.map((item) => item.id))
+      const others = (await loadItems(storage)).filter((item) => !ids.has(item.id))
+      await saveItems(storage, [...others, ...items])
+    })
+  }
+
+  /**
+   * Remove an item from the queue and from storage
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  function remove(id) {
+    queue = queue.filter((item) => item.id !== id)
+    return scheduleWrite(async (storage) => {
+      await saveItems(
+        storage,
+        (await loadItems(storage)).filter((item) => item.id !== id)
+      )
+    })
+  }
+
+  /**
+   * Update the status of an item and of its message
+   * @param {OutboxItem} item
+   * @param {MessageStatus} status
+   * @param {Error} [error] - Why the message failed
+   */
+  function setStatus(item, status, error) {
+    item.status = status
+    client.chat.updateMessage(item.id, {
+      status,
+      errorText: error ? error.message || 'Failed to send message' : undefined,
+      errorCode: error?.code
+    })
+  }
+
+  /**
+   * Mark an item sent as soon as the server accepted it, before the reply comes
+   * It leaves the queue and storage right away, so a reload while the reply streams doesn't
+   * send it again
+   * @param {OutboxItem} item
+   * @returns {Promise<void>}
+   */
+  function markSent(item) {
+    setStatus(item, 'sent')
+    return remove(item.id)
+  }
+
+  /**
+   * Track the promise handed out for an item
+   * @param {OutboxItem} item
+   * @returns {Promise<string>}
+   */
+  function track(item) {
+    const entry = {}
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve
+      entry.reject = reject
+    })
+    pending.set(item.id, entry)
+    return entry.promise
+  }
+
+  /**
+   * Settle the promise handed out for an item
+   * @param {string} id
+   * @param {string | undefined} sessionId
+   * @param {Error} [error]
+   */
+  function settle(id, sessionId, error) {
+    const entry = pending.get(id)
+    pending.delete(id)
+    networkFailures.delete(id)
+    if (error) {
+      entry?.reject(error)
+    } else {
+      entry?.resolve(sessionId)
+    }
+  }
+
+  /**
+   * Whether queued messages can go out right now
+   * @returns {boolean}
+   */
+  function canSend() {
+    return isOnline() && !client.socket.isReconnecting()
+  }
+
+  /**
+   * Queue a user message and flush the queue
+   * @param {Object} message - User message already added to the chat
+   * @param {Object} [context]
+   * @returns {Promise<string>} Resolves with the session ID once the reply is complete
+   */
+  function enqueue(message, context) {
+    const item = {
+      id: message.id,
+      sessionId: client.chat.getSessionId(),
+      endpoint: client.chat.getCredentials()?.endpoint,
+      text: message.text,
+      html: message.html,
+      context,
+      postback: message.postback,
+      attachments: message.attachments?.map(toAttachmentRef),
+      timestamp: message.timestamp,
+      status: 'queued'
+    }
+    queue.push(item)
+    persist()
+    listenOnline()
+
+    const promise = track(item)
+    flush()
+    return promise
+  }
+
+  /**
+   * Queue an item again after a network failure
+   * Offline, it waits for the connection to come back; online, the queue is flushed again
+   * with backoff, until the attempts run out
+   * @param {OutboxItem} item
+   * @returns {boolean} false when the attempts ran out
+   */
+  function requeue(item) {
+    if (isOnline()) {
+      const attempt = (networkFailures.get(item.id) ?? 0) + 1
+      if (attempt > NETWORK_RETRY_POLICY.maxAttempts) {
+        return false
+      }
+      networkFailures.set(item.id, attempt)
+      const delay = getBackoffDelay(NETWORK_RETRY_POLICY, attempt)
+      client.logger.info(`Message not delivered, retrying in ${delay}ms: `, item.id)
+      clearTimeout(retryTimeout)
+      retryTimeout = setTimeout(flush, delay)
+    } else {
+      client.logger.info('Message queued until the connection is back: ', item.id)
+    }
+    setStatus(item, 'queued')
+    persist()
+    return true
+  }
+
+  /**
+   * Deliver queued messages one by one, in order
+   * Stops at the first network failure and resumes on the next flush
+   */
+  async function flush() {
+    if (flushing) {
+      return
+    }
+    flushing = true
+    clearTimeout(retryTimeout)
+    retryTimeout = undefined
+    try {
+      let item
+      while (canSend() && (item = queue.find((queued) => queued.status === 'queued'))) {
+        setStatus(item, 'sending')
+        try {
+          const sessionId = await client.chat.deliverMessage(item)
+          settle(item.id, sessionId)
+        } catch (error) {
+          if (item.status === 'sent') {
+            // The server has the message, only the reply failed
+            settle(item.id, undefined, error)
+          } else if (isNetworkError(error) && requeue(item)) {
+            break
+          } else {
+            client.logger.error('Failed to send message: ', error)
+            setStatus(item, 'failed', error)
+            persist()
+            settle(item.id, undefined, error)
+          }
+        }
+      }
+    } finally {
+      flushing = false
+    }
+  }
+
+  /**
+   * Retry a failed message, or push a queued one out right away
+   * @param {string} id - Id of the user message
+   * @returns {Promise<string>} Resolves with the session ID once the reply is complete
+   */
+  function retryMessage(id) {
+    const item = queue.find((queued) => queued.id === id)
+    if (!item) {
+      return Promise.reject(
+        new ChatSdkError('Message not found in the outbox', { code: ERROR_CODES.MESSAGE_NOT_FOUND })
+      )
+    }
+
+    if (item.status === 'failed') {
+      // Move to the back of the queue so messages still go out in the order they are sent
+      queue = [...queue.filter((queued) => queued.id !== id), item]
+      setStatus(item, 'queued')
+      persist()
+    }
+
+    const promise = pending.get(id)?.promise ?? track(item)
+    flush()
+    return promise
+  }
+
+  /**
+   * Restore persisted messages of a session into the queue
+   * @param {string} [sessionId]
+   * @returns {Promise<Array>} User messages to show in the chat
+   */
+  async function restore(sessionId) {
+    if (!sessionId) {
+      // A new chat, the messages of other chats are not its own
+      return []
+    }
+    await storageWrites
+    const ids = new Set(queue.map((item) => item.id))
+    const { endpoint } = client.chat.getCredentials() ?? {}
+    const restored = (await loadItems(client.chat.getStorage())).filter(
+      (item) => item.sessionId === sessionId && item.endpoint === endpoint && !ids.has(item.id)
+    )
+    restored.forEach((item) => {
+      // A message that was in flight when the page went away is sent again
+      if (item.status === 'sending') {
+        item.status = 'queued'
+      }
+    })
+    queue = [...queue, ...restored]
+    if (restored.length) {
+      listenOnline()
+    }
+
+    return restored.map((item) => ({
+      id: item.id,
+      role: MESSAGE_ROLES.USER,
+      text: item.text,
+      html: item.html,
+      context: item.context,
+      postback: item.postback,
+      attachments: item.attachments,
+      timestamp: item.timestamp,
+      status: item.status,
+      errorText: item.status === 'failed' ? 'Failed to send message' : undefined
+    }))
+  }
+
+  /**
+   * Drop the in-memory queue and stop listening for the connection, persisted messages stay
+   * for the next resume
+   */
+  function clear() {
+    if (listening) {
+      window.removeEventListener('online', onOnline)
+      listening = false
+    }
+    clearTimeout(retryTimeout)
+    retryTimeout = undefined
+    networkFailures.clear()
+    queue = []
+    pending.forEach(({ reject }) =>
+      reject(new ChatSdkError('Chat session disconnected', { code: ERROR_CODES.SESSION_CLOSED }))
+    )
+    pending.clear()
+  }
+
+  return {
+    enqueue,
+    markSent,
+    flush,
+    retryMessage,
+    restore,
+    clear
+  }
+}
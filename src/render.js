@@ -0,0 +1,838 @@
+/**
+ * Message Rendering for Chat SDK
+ * Turns message text (markdown) and html into sanitized HTML or a framework-neutral AST.
+ * Optional, imported from `@origonai/web-chat-sdk/render`, and works without a DOM
+ */
+
+/**
+ * @typedef {Object} RenderElement
+ * @property {'element'} type
+ * @property {string} tag - Lowercase tag name
+ * @property {Object<string, string>} attrs
+ * @property {RenderNode[]} children
+ */
+
+/**
+ * @typedef {Object} RenderText
+ * @property {'text'} type
+ * @property {string} value - Decoded text, escaped again when serialized
+ */
+
+/**
+ * @typedef {Object} RenderCode
+ * @property {'code'} type
+ * @property {string} [language] - e.g. 'js', from the fence info or the `language-*` class
+ * @property {string} value - Code, as plain text
+ * @property {boolean} [partial] - The fence is not closed yet, more code is streaming in
+ */
+
+/**
+ * @typedef {RenderElement | RenderText | RenderCode} RenderNode
+ */
+
+/**
+ * @typedef {Object} RenderOptions
+ * @property {string[]} [allowedTags] - Tags kept, others are replaced by their content.
+ *   Default: formatting, headings, lists, quotes, links, images and tables
+ * @property {string | null} [linkTarget='_blank'] - `target` of external links, null for none
+ * @property {string | null} [linkRel='noopener noreferrer nofollow'] - `rel` of external links
+ * @property {(url: string, tag: string) => string | null} [rewriteUrl] - Rewrites link and image
+ *   URLs that passed the protocol check, e.g. to route them through a proxy; null drops the URL
+ * @property {boolean} [breaks=true] - Turn single newlines of markdown into line breaks
+ */
+
+const DEFAULT_ALLOWED_TAGS = [
+  'p',
+  'br',
+  'hr',
+  'strong',
+  'b',
+  'em',
+  'i',
+  'u',
+  's',
+  'del',
+  'code',
+  'pre',
+  'blockquote',
+  'ul',
+  'ol',
+  'li',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'a',
+  'img',
+  'span',
+  'table',
+  'thead',
+  'tbody',
+  'tr',
+  'th',
+  'td'
+]
+
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  ol: ['start'],
+  code: ['class'],
+  th: ['colspan', 'rowspan', 'align'],
+  td: ['colspan', 'rowspan', 'align']
+}
+
+// Dropped along with their content, unlike other tags that are not allowed
+const DROPPED_TAGS = new Set([
+  'script',
+  'style',
+  'iframe',
+  'object',
+  'embed',
+  'template',
+  'noscript',
+  'textarea',
+  'title',
+  'xmp',
+  'svg',
+  'math'
+])
+// Their content is raw text, not markup
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'noscript', 'iframe'])
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link', 'source', 'wbr', 'col'])
+
+const LINK_PROTOCOLS = ['http', 'https', 'mailto', 'tel']
+const IMAGE_PROTOCOLS = ['http', 'https']
+const DATA_IMAGE = /^data:image\/(png|gif|jpe?g|webp);/i
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }
+
+/**
+ * Get the options with their defaults
+ * @param {RenderOptions} [options]
+ */
+function getRenderPolicy(options) {
+  return {
+    allowedTags: new Set(options?.allowedTags ?? DEFAULT_ALLOWED_TAGS),
+    linkTarget: options?.linkTarget === undefined ? '_blank' : options.linkTarget,
+    linkRel: options?.linkRel === undefined ? 'noopener noreferrer nofollow' : options.linkRel,
+    rewriteUrl: options?.rewriteUrl,
+    breaks: options?.breaks ?? true
+  }
+}
+
+/**
+ * Decode HTML character references
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code =
+        entity[1] === 'x' || entity[1] === 'X'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10)
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '�'
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match
+  })
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+  return escapeHtml(value).replace(/"/g, '&quot;')
+}
+
+/**
+ * @param {string} tag
+ * @param {Object<string, string>} [attrs]
+ * @param {RenderNode[]} [children]
+ * @returns {RenderElement}
+ */
+function element(tag, attrs = {}, children = []) {
+  return { type: 'element', tag, attrs, children }
+}
+
+/**
+ * @param {string} value
+ * @returns {RenderText}
+ */
+function text(value) {
+  return { type: 'text', value }
+}
+
+/**
+ * Get the text of nodes, as it would read on screen
+ * @param {RenderNode[]} nodes
+ * @returns {string}
+ */
+function getTextContent(nodes) {
+  return nodes
+    .map((node) => {
+      if (node.type === 'element') {
+        return node.tag === 'br' ? '\n' : getTextContent(node.children)
+      }
+      return node.value
+    })
+    .join('')
+}
+
+/**
+ * Check a URL against the protocols allowed for the tag, and rewrite it
+ * @param {string} url - Decoded URL
+ * @param {string} tag
+ * @param {ReturnType<typeof getRenderPolicy>} policy
+ * @returns {string | null} null when the URL must be dropped
+ */
+function sanitizeUrl(url, tag, policy) {
+  // Browsers ignore control characters and whitespace in the scheme, e.g. `java\tscript:`
+  const compact = url.replace(/[\u0000- \u007f-\u009f]/g, '')
+  const protocol = /^([a-z][a-z\d+.-]*):/i.exec(compact)?.[1].toLowerCase()
+  if (protocol) {
+    const allowed =
+      tag === 'img'
+        ? IMAGE_PROTOCOLS.includes(protocol) || DATA_IMAGE.test(compact)
+        : LINK_PROTOCOLS.includes(protocol)
+    if (!allowed) {
+      return null
+    }
+  }
+  const rewritten = policy.rewriteUrl ? policy.rewriteUrl(url.trim(), tag) : url.trim()
+  return rewritten || null
+}
+
+/**
+ * Whether a link leaves the page
+ * @param {string} href
+ * @returns {boolean}
+ */
+function isExternalLink(href) {
+  return /^(https?:)?\/\//i.test(href)
+}
+
+/**
+ * Keep the allowed attributes of an element, with safe values
+ * @param {string} tag
+ * @param {Object<string, string>} attrs
+ * @param {ReturnType<typeof getRenderPolicy>} policy
+ * @returns {Object<string, string>}
+ */
+function sanitizeAttributes(tag, attrs, policy) {
+  const sanitized = {}
+  ;(ALLOWED_ATTRIBUTES[tag] ?? []).forEach((name) => {
+    const value = attrs[name]
+    if (value === undefined) {
+      return
+    }
+    if (name === 'href' || name === 'src') {
+      const url = sanitizeUrl(value, tag, policy)
+      if (url !== null) {
+        sanitized[name] = url
+      }
+    } else if (name === 'class') {
+      // Only the language of code blocks
+      const language = value.split(/\s+/).find((cls) => /^(language|lang)-[\w+#.-]+$/.test(cls))
+      if (language) {
+        sanitized.class = language
+      }
+    } else {
+      sanitized[name] = value
+    }
+  })
+
+  if (tag === 'a' && sanitized.href && isExternalLink(sanitized.href)) {
+    if (policy.linkTarget) {
+      sanitized.target = policy.linkTarget
+    }
+    if (policy.linkRel) {
+      sanitized.rel = policy.linkRel
+    }
+  }
+  return sanitized
+}
+
+/**
+ * Get the language of a code block from the class of its code element
+ * @param {RenderElement} [code]
+ * @returns {string | undefined}
+ */
+function getCodeLanguage(code) {
+  const language = code?.attrs.class?.split(/\s+/).find((cls) => /^(language|lang)-/.test(cls))
+  return language?.replace(/^(language|lang)-/, '')
+}
+
+/**
+ * Turn a `pre` element into a code block node
+ * @param {RenderElement} pre
+ * @returns {RenderCode}
+ */
+function toCodeBlock(pre) {
+  const content = pre.children.filter((child) => !(child.type === 'text' && !child.value.trim()))
+  const code =
+    content.length === 1 && content[0].type === 'element' && content[0].tag === 'code'
+      ? content[0]
+      : undefined
+  return {
+    type: 'code',
+    language: getCodeLanguage(code),
+    value: getTextContent(code ? code.children : pre.children).replace(/\n$/, '')
+  }
+}
+
+/**
+ * Apply the allowlist to nodes
+ * @param {RenderNode[]} nodes
+ * @param {ReturnType<typeof getRenderPolicy>} policy
+ * @returns {RenderNode[]}
+ */
+function sanitizeNodes(nodes, policy) {
+  return nodes.flatMap((node) => {
+    if (node.type === 'code' && !policy.allowedTags.has('pre')) {
+      return [text(node.value)]
+    }
+    if (node.type !== 'element') {
+      return [node]
+    }
+    const tag = node.tag.toLowerCase()
+    if (DROPPED_TAGS.has(tag)) {
+      return []
+    }
+    if (tag === 'pre' && policy.allowedTags.has('pre')) {
+      return [toCodeBlock(node)]
+    }
+
+    const children = sanitizeNodes(node.children, policy)
+    if (!policy.allowedTags.has(tag)) {
+      // Not allowed, its content stays
+      return children
+    }
+    const attrs = sanitizeAttributes(tag, node.attrs, policy)
+    if (tag === 'img' && !attrs.src) {
+      return []
+    }
+    return [element(tag, attrs, VOID_TAGS.has(tag) ? [] : children)]
+  })
+}
+
+const HTML_TOKEN =
+  /<!--[\s\S]*?(?:-->|$)|<![^>]*>?|<\?[^>]*>?|<\/([a-zA-Z][\w:-]*)[^>]*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g
+const HTML_ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+
+/**
+ * Parse the attributes of a start tag
+ * @param {string} source
+ * @returns {Object<string, string>}
+ */
+function parseAttributes(source) {
+  const attrs = {}
+  for (const [, name, double, single, bare] of source.matchAll(HTML_ATTRIBUTE)) {
+    const key = name.toLowerCase()
+    if (!(key in attrs)) {
+      attrs[key] = decodeEntities(double ?? single ?? bare ?? '')
+    }
+  }
+  return attrs
+}
+
+/**
+ * Parse HTML into a tree, without any sanitizing
+ * Forgiving like browsers: unclosed tags are closed by their parent, stray end tags are ignored
+ * @param {string} html
+ * @returns {RenderNode[]}
+ */
+function parseHtmlTree(html) {
+  const root = element('#root')
+  const stack = [root]
+  const current = () => stack[stack.length - 1]
+  const addText = (value) => {
+    if (value) {
+      current().children.push(text(decodeEntities(value)))
+    }
+  }
+
+  let index = 0
+  HTML_TOKEN.lastIndex = 0
+  let match
+  while ((match = HTML_TOKEN.exec(html))) {
+    addText(html.slice(index, match.index))
+    index = HTML_TOKEN.lastIndex
+    const [, endTag, startTag, attributes, selfClosing] = match
+
+    if (startTag) {
+      const tag = startTag.toLowerCase()
+      const node = element(tag, parseAttributes(attributes))
+      current().children.push(node)
+      if (RAW_TEXT_TAGS.has(tag)) {
+        const end = html.toLowerCase().indexOf(`</${tag}`, index)
+        const close = end === -1 ? html.length : html.indexOf('>', end) + 1 || html.length
+        node.children.push(text(html.slice(index, end === -1 ? html.length : end)))
+        index = close
+        HTML_TOKEN.lastIndex = close
+      } else if (!VOID_TAGS.has(tag) && !selfClosing) {
+        stack.push(node)
+      }
+    } else if (endTag) {
+      const tag = endTag.toLowerCase()
+      const open = stack.map((node) => node.tag).lastIndexOf(tag)
+      if (open > 0) {
+        stack.length = open
+      }
+    }
+    // Comments, doctypes and processing instructions are dropped
+  }
+  addText(html.slice(index))
+  return root.children
+}
+
+const INLINE_SPECIAL = /[`![<*_~\\\nh]/
+// Sticky, so each rule matches at the current offset without copying the rest of the text
+const INLINE_RULES = [
+  ['escape', /\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/y],
+  ['code', /(`+)([\s\S]*?[^`])\1(?!`)/y],
+  ['image', /!\[([^\]]*)\]\(\s*(<[^>]*>|(?:[^\s()]|\([^\s()]*\))+)(?:\s+"([^"]*)")?\s*\)/y],
+  [
+    'link',
+    /\[((?:[^[\]]|\[[^\]]*\])*)\]\(\s*(<[^>]*>|(?:[^\s()]|\([^\s()]*\))+)(?:\s+"([^"]*)")?\s*\)/y
+  ],
+  ['autolink', /<((?:https?:\/\/|mailto:)[^\s<>]+)>/iy],
+  ['url', /https?:\/\/[^\s<]*[^\s<.,:;"')\]!?*_~]/iy],
+  ['strong', /(\*\*|__)(?=\S)([\s\S]*?\S)\1/y],
+  ['em', /(\*|_)(?=[^\s*_])([\s\S]*?[^\s\\])\1(?!\1)/y],
+  ['del', /~~(?=\S)([\s\S]*?\S)~~/y]
+]
+
+/**
+ * Parse inline markdown: emphasis, code, links and images
+ * Markers that are not closed stay as text, so partial streamed text renders as it is
+ * @param {string} source
+ * @param {ReturnType<typeof getRenderPolicy>} policy
+ * @returns {RenderNode[]}
+ */
+function parseInline(source, policy) {
+  const nodes = []
+  let buffer = ''
+  const flush = () => {
+    if (buffer) {
+      nodes.push(text(buffer))
+      buffer = ''
+    }
+  }
+
+  let i = 0
+  while (i < source.length) {
+    const char = source[i]
+    if (!INLINE_SPECIAL.test(char)) {
+      buffer += char
+      i += 1
+      continue
+    }
+    if (char === '\n') {
+      flush()
+      nodes.push(policy.breaks ? element('br') : text('\n'))
+      i += 1
+      continue
+    }
+
+    const previous = source[i - 1] ?? ' '
+    let node = null
+    let length = 0
+    for (const [rule, pattern] of INLINE_RULES) {
+      pattern.lastIndex = i
+      const match = pattern.exec(source)
+      if (!match) {
+        continue
+      }
+      // `_` and bare URLs only count at word boundaries, e.g. not in snake_case
+      const underscore = (rule === 'strong' || rule === 'em') && match[1][0] === '_'
+      if ((rule === 'url' || underscore) && /\w/.test(previous)) {
+        continue
+      }
+      if (underscore && /\w/.test(source[i + match[0].length] ?? '')) {
+        continue
+      }
+      length = match[0].length
+      if (rule === 'escape') {
+        buffer += match[1]
+      } else if (rule === 'code') {
+        node = element('code', {}, [text(match[2].replace(/^ (.*) $/, '$1'))])
+      } else if (rule === 'image') {
+        node = element('img', { src: unwrapUrl(match[2]), alt: match[1], title: match[3] })
+      } else if (rule === 'link') {
+        node = element(
+          'a',
+          { href: unwrapUrl(match[2]), title: match[3] },
+          parseInline(match[1], policy)
+        )
+      } else if (rule === 'autolink' || rule === 'url') {
+        const url = rule === 'url' ? match[0] : match[1]
+        node = element('a', { href: url }, [text(url)])
+      } else {
+        const tag = rule === 'em' ? 'em' : rule === 'strong' ? 'strong' : 'del'
+        node = element(tag, {}, parseInline(rule === 'del' ? match[1] : match[2], policy))
+      }
+      break
+    }
+
+    if (node) {
+      flush()
+      nodes.push(node)
+    } else if (!length) {
+      buffer += char
+      length = 1
+    }
+    i += length
+  }
+  flush()
+  return nodes
+}
+
+/**
+ * Decode a markdown link destination
+ * @param {string} url
+ * @returns {string}
+ */
+function unwrapUrl(url) {
+  return decodeEntities(url.replace(/^<(.*)>$/, '$1'))
+}
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)[^`]*$/
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/
+const QUOTE = /^ {0,3}>\s?/
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(\s+|$)/
+
+/**
+ * Whether a line starts a block other than a paragraph
+ * @param {string} line
+ * @returns {boolean}
+ */
+function startsBlock(line) {
+  return (
+    FENCE.test(line) ||
+    HEADING.test(line) ||
+    RULE.test(line) ||
+    QUOTE.test(line) ||
+    LIST_ITEM.test(line)
+  )
+}
+
+/**
+ * Parse markdown blocks: paragraphs, headings, code blocks, lists, quotes and rules
+ * @param {string[]} lines
+ * @param {ReturnType<typeof getRenderPolicy>} policy
+ * @returns {RenderNode[]}
+ */
+function parseBlocks(lines, policy) {
+  const nodes = []
+  let i = 0
+  while (i < lines.length) {
+    const line = lines[i]
+
+    if (!line.trim()) {
+      i += 1
+      continue
+    }
+
+    const fence = FENCE.exec(line)
+    if (fence) {
+      const [, marker, language] = fence
+      const closing = new RegExp(`^ {0,3}${marker[0]}{${marker.length},}\\s*$`)
+      const end = lines.findIndex((candidate, index) => index > i && closing.test(candidate))
+      const code = lines.slice(i + 1, end === -1 ? lines.length : end)
+      nodes.push({
+        type: 'code',
+        language: language || undefined,
+        value: code.join('\n'),
+        partial: end === -1 ? true : undefined
+      })
+      i = end === -1 ? lines.length : end + 1
+      continue
+    }
+
+    const heading = HEADING.exec(line)
+    if (heading) {
+      nodes.push(element(`h${heading[1].length}`, {}, parseInline(heading[2] ?? '', policy)))
+      i += 1
+      continue
+    }
+
+    if (RULE.test(line)) {
+      nodes.push(element('hr'))
+      i += 1
+      continue
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = []
+      while (i < lines.length && lines[i].trim() && (QUOTE.test(lines[i]) || quoted.length)) {
+        if (!QUOTE.test(lines[i]) && startsBlock(lines[i])) {
+          break
+        }
+        quoted.push(lines[i].replace(QUOTE, ''))
+        i += 1
+      }
+      nodes.push(element('blockquote', {}, parseBlocks(quoted, policy)))
+      continue
+    }
+
+    const item = LIST_ITEM.exec(line)
+    if (item) {
+      const ordered = /\d/.test(item[2])
+      const items = []
+      while (i < lines.length) {
+        const start = LIST_ITEM.exec(lines[i])
+        if (!start || /\d/.test(start[2]) !== ordered) {
+          break
+        }
+        const indent = start[0].length
+        const content = [lines[i].slice(indent)]
+        i += 1
+        // Indented lines, and lines continuing the item's paragraph, belong to the item
+        while (i < lines.length) {
+          const next = lines[i]
+          if (!next.trim()) {
+            if (i + 1 < lines.length && /^\s{2,}\S/.test(lines[i + 1])) {
+              content.push('')
+              i += 1
+              continue
+            }
+            break
+          }
+          if (/^\s{2,}/.test(next)) {
+            content.push(next.replace(new RegExp(`^ {0,${indent}}`), ''))
+          } else if (!startsBlock(next) && content[content.length - 1].trim()) {
+            content.push(next)
+          } else {
+            break
+          }
+          i += 1
+        }
+        items.push(element('li', {}, parseListItem(content, policy)))
+        // A blank line between items keeps the list going
+        if (i + 1 < lines.length && !lines[i]?.trim() && LIST_ITEM.test(lines[i + 1])) {
+          i += 1
+        }
+      }
+      const startNumber = parseInt(item[2], 10)
+      const attrs = ordered && startNumber !== 1 ? { start: String(startNumber) } : {}
+      nodes.push(element(ordered ? 'ol' : 'ul', attrs, items))
+      continue
+    }
+
+    const paragraph = []
+    while (i < lines.length && lines[i].trim() && (!paragraph.length || !startsBlock(lines[i]))) {
+      paragraph.push(lines[i].trim())
+      i += 1
+    }
+    nodes.push(element('p', {}, parseInline(paragraph.join('\n'), policy)))
+  }
+  return nodes
+}
+
+/**
+ * Parse the content of a list item
+ * Paragraphs of items without blank lines are not wrapped in `p`
+ * @param {string[]} lines
+ * @param {ReturnType<typeof getRenderPolicy>} policy
+ * @returns {RenderNode[]}
+ */
+function parseListItem(lines, policy) {
+  const blocks = parseBlocks(lines, policy)
+  if (lines.some((line) => !line.trim())) {
+    return blocks
+  }
+  return blocks.flatMap((block) =>
+    block.type === 'element' && block.tag === 'p' ? block.children : [block]
+  )
+}
+
+/**
+ * Parse markdown into sanitized nodes
+ * Raw HTML in markdown is kept as text
+ * @param {string} markdown
+ * @param {RenderOptions} [options]
+ * @returns {RenderNode[]}
+ */
+export function parseMarkdown(markdown, options) {
+  const policy = getRenderPolicy(options)
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n')
+  return sanitizeNodes(parseBlocks(lines, policy), policy)
+}
+
+/**
+ * Parse HTML into sanitized nodes
+ * @param {string} html
+ * @param {RenderOptions} [options]
+ * @returns {RenderNode[]}
+ */
+export function parseHtml(html, options) {
+  return sanitizeNodes(parseHtmlTree(html), getRenderPolicy(options))
+}
+
+/**
+ * Serialize nodes to HTML
+ * @param {RenderNode[]} nodes
+ * @returns {string}
+ */
+export function toHtml(nodes) {
+  return nodes
+    .map((node) => {
+      if (node.type === 'text') {
+        return escapeHtml(node.value)
+      }
+      if (node.type === 'code') {
+        const language = node.language ? ` class="language-${escapeAttribute(node.language)}"` : ''
+        return `<pre><code${language}>${escapeHtml(node.value)}</code></pre>`
+      }
+      const attrs = Object.entries(node.attrs)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => ` ${name}="${escapeAttribute(String(value))}"`)
+        .join('')
+      if (VOID_TAGS.has(node.tag)) {
+        return `<${node.tag}${attrs}>`
+      }
+      return `<${node.tag}${attrs}>${toHtml(node.children)}</${node.tag}>`
+    })
+    .join('')
+}
+
+/**
+ * Sanitize HTML, e.g. the `html` a user message was sent with
+ * @param {string} html
+ * @param {RenderOptions} [options]
+ * @returns {string}
+ */
+export function sanitizeHtml(html, options) {
+  return toHtml(parseHtml(html, options))
+}
+
+/**
+ * Parse the content of a message: its `html` when it has one, its markdown `text` otherwise
+ * @param {{ text?: string, html?: string }} message
+ * @param {RenderOptions} [options]
+ * @returns {RenderNode[]}
+ */
+export function parseMessage(message, options) {
+  return message.html
+    ? parseHtml(message.html, options)
+    : parseMarkdown(message.text ?? '', options)
+}
+
+/**
+ * Render the content of a message to sanitized HTML
+ * @param {{ text?: string, html?: string }} message
+ * @param {RenderOptions} [options]
+ * @returns {string}
+ */
+export function renderMessage(message, options) {
+  return toHtml(parseMessage(message, options))
+}
+
+/**
+ * Find where the blocks that can't change anymore end
+ * That is after a blank line outside a code block, once a new unindented line started
+ * @param {string} source
+ * @param {number} from - Where the last boundary was found
+ * @returns {number}
+ */
+function findStableBoundary(source, from) {
+  let boundary = from
+  let fence = null
+  let blank = false
+  let position = from
+  for (const line of source.slice(from).split('\n').slice(0, -1)) {
+    const start = position
+    position += line.length + 1
+    const marker = FENCE.exec(line)?.[1]
+    if (fence) {
+      if (
+        marker &&
+        marker[0] === fence[0] &&
+        marker.length >= fence.length &&
+        !line.trim().slice(marker.length)
+      ) {
+        fence = null
+      }
+      continue
+    }
+    if (blank && line.trim() && !/^\s/.test(line)) {
+      boundary = start
+    }
+    blank = !line.trim()
+    if (marker) {
+      fence = marker
+    }
+  }
+  return boundary
+}
+
+/**
+ * Create a renderer for a reply being streamed
+ * Each call gets the whole text so far; blocks that are complete are parsed once and reused,
+ * only the last one is parsed again. Code blocks still streaming are marked `partial`
+ * @param {RenderOptions} [options]
+ */
+export function createStreamingRenderer(options) {
+  let source = ''
+  /** @type {RenderNode[]} */
+  let stable = []
+  let stableLength = 0
+
+  /**
+   * Parse the text streamed so far
+   * @param {string} markdown
+   * @returns {RenderNode[]}
+   */
+  function parse(markdown) {
+    if (!markdown.startsWith(source.slice(0, stableLength))) {
+      // The text was replaced, e.g. by a regenerated reply
+      reset()
+    }
+    source = markdown
+
+    const boundary = findStableBoundary(markdown, stableLength)
+    if (boundary > stableLength) {
+      stable = [...stable, ...parseMarkdown(markdown.slice(stableLength, boundary), options)]
+      stableLength = boundary
+    }
+    return [...stable, ...parseMarkdown(markdown.slice(stableLength), options)]
+  }
+
+  /**
+   * Render the text streamed so far to sanitized HTML
+   * @param {string} markdown
+   * @returns {string}
+   */
+  function render(markdown) {
+    return toHtml(parse(markdown))
+  }
+
+  /**
+   * Forget the text parsed so far, e.g. before rendering another message
+   */
+  function reset() {
+    source = ''
+    stable = []
+    stableLength = 0
+  }
+
+  return {
+    parse,
+    render,
+    reset
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * Sessions Service for Chat SDK
+ * Lists, searches and manages the sessions of the current device or user,
+ * for building a conversation list
+ */
+
+import { createResponseError } from './errors.js'
+
+/**
+ * @typedef {Object} ChatSessionSummary
+ * @property {string} sessionId
+ * @property {string} title
+ * @property {string} [preview] - Text of the last message
+ * @property {number} unreadCount
+ * @property {string} [channel]
+ * @property {boolean} archived
+ * @property {boolean} pinned
+ * @property {string} [createdAt]
+ * @property {string} [updatedAt]
+ * @property {string} [lastMessageAt]
+ */
+
+/**
+ * @typedef {Object} SessionFilters
+ * @property {number} [limit] - Max sessions to return
+ * @property {string} [before] - Session ID cursor, returns older sessions
+ * @property {string} [after] - Session ID cursor, returns newer sessions
+ * @property {Date | string} [from] - Only sessions active since then
+ * @property {Date | string} [to] - Only sessions active until then
+ * @property {string} [channel] - Only sessions of this channel, e.g. 'web'
+ * @property {string} [query] - Only sessions whose title or messages contain this text
+ * @property {boolean} [archived] - Only archived sessions, or only active ones. Default: both
+ * @property {boolean} [pinned] - Only pinned sessions, or only unpinned ones. Default: both
+ */
+
+/**
+ * Turn a session from the server into a session summary, whatever names its fields use
+ * @param {Object} raw
+ * @returns {ChatSessionSummary}
+ */
+export function normalizeSession(raw) {
+  const lastMessage = raw.lastMessage ?? {}
+  return {
+    sessionId: raw.sessionId ?? raw.id,
+    title: raw.title ?? raw.name ?? raw.firstMessage?.text ?? 'New conversation',
+    preview: raw.preview ?? lastMessage.text,
+    unreadCount: raw.unreadCount ?? raw.unread ?? 0,
+    channel: raw.channel,
+    archived: Boolean(raw.archived),
+    pinned: Boolean(raw.pinned),
+    createdAt: raw.createdAt,
+    updatedAt: raw.updatedAt,
+    lastMessageAt: raw.lastMessageAt ?? lastMessage.timestamp
+  }
+}
+
+/**
+ * Format a date filter for the query
+ * @param {Date | string} value
+ * @returns {string}
+ */
+function toDateParam(value) {
+  return value instanceof Date ? value.toISOString() : value
+}
+
+/**
+ * Create a sessions service bound to a client
+ * @param {import('./client.js').ClientContext} client - Services of the owning client
+ */
+export function createSessionsService(client) {
+  /**
+   * Build the path of a sessions request, scoped to the current device
+   * @param {string} pathname
+   * @param {Object<string, string>} [params]
+   * @returns {Promise<string>}
+   */
+  async function getPath(pathname, params = {}) {
+    const queryParams = new URLSearchParams({
+      externalId: await client.chat.getExternalId(),
+      ...params
+    })
+    return `${pathname}?${queryParams.toString()}`
+  }
+
+  /**
+   * Update a session and return it as the server saved it
+   * @param {string} sessionId
+   * @param {Object} changes
+   * @param {string} errorMessage
+   * @returns {Promise<ChatSessionSummary | undefined>}
+   */
+  async function updateSession(sessionId, changes, errorMessage) {
+    const path = await getPath(`/sessions/${encodeURIComponent(sessionId)}`)
+    const response = await client.http.fetchRequest(path, 'PATCH', changes)
+
+    if (!response.ok) {
+      throw createResponseError(response, errorMessage)
+    }
+
+    const res = await response.json().catch(() => null)
+    const session = res?.session ?? res?.data
+    return session ? normalizeSession(session) : undefined
+  }
+
+  /**
+   * List sessions, optionally filtered, searched and paginated
+   * @param {SessionFilters} [filters]
+   * @returns {Promise<{ sessions: ChatSessionSummary[], hasMore?: boolean }>}
+   */
+  async function listSessions(filters = {}) {
+    const { limit, before, after, from, to, channel, query, archived, pinned } = filters
+    const params = {}
+    if (limit !== undefined) {
+      params.limit = String(limit)
+    }
+    if (before) {
+      params.before = before
+    }
+    if (after) {
+      params.after = after
+    }
+    if (from) {
+      params.from = toDateParam(from)
+    }
+    if (to) {
+      params.to = toDateParam(to)
+    }
+    if (channel) {
+      params.channel = channel
+    }
+    if (query) {
+      params.search = query
+    }
+    if (archived !== undefined) {
+      params.archived = String(archived)
+    }
+    if (pinned !== undefined) {
+      params.pinned = String(pinned)
+    }
+
+    const response = await client.http.fetchRequest(await getPath('/sessions', params), 'GET')
+
+    if (!response.ok) {
+      throw createResponseError(response, 'Unable to load conversations, please try again later')
+    }
+
+    const res = await response.json()
+    return {
+      sessions: (res?.sessions ?? []).map(normalizeSession),
+      hasMore: res?.hasMore
+    }
+  }
+
+  /**
+   * Rename a session
+   * @param {string} sessionId
+   * @param {string} title
+   * @returns {Promise<ChatSessionSummary | undefined>}
+   */
+  function renameSession(sessionId, title) {
+    return updateSession(sessionId, { title }, 'Unable to rename the conversation')
+  }
+
+  /**
+   * Archive a session, or bring it back
+   * @param {string} sessionId
+   * @param {boolean} [archived]
+   * @returns {Promise<ChatSessionSummary | undefined>}
+   */
+  function archiveSession(sessionId, archived = true) {
+    return updateSession(sessionId, { archived }, 'Unable to archive the conversation')
+  }
+
+  /**
+   * Pin a session to the top of the list, or unpin it
+   * @param {string} sessionId
+   * @param {boolean} [pinned]
+   * @returns {Promise<ChatSessionSummary | undefined>}
+   */
+  function pinSession(sessionId, pinned = true) {
+    return updateSession(sessionId, { pinned }, 'Unable to pin the conversation')
+  }
+
+  /**
+   * Delete a session for good
+   * Once deleted, the chat is disconnected when it is the current session
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  async function deleteSession(sessionId) {
+    const path = await getPath(`/sessions/${encodeURIComponent(sessionId)}`)
+    const response = await client.http.fetchRequest(path, 'DELETE')
+
+    if (!response.ok) {
+      throw createResponseError(response, 'Unable to delete the conversation')
+    }
+    if (client.chat.getSessionId() === sessionId) {
+      client.chat.disconnect()
+    }
+    await client.cache.remove(sessionId).catch((error) => {
+      client.logger.warn(`Unable to remove cached messages: ${error.message}`)
+    })
+  }
+
+  return {
+    listSessions,
+    renameSession,
+    archiveSession,
+    pinSession,
+    deleteSession
+  }
+}
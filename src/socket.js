@@ -3,17 +3,27 @@
  * Handles WebSocket connection for real-time chat functionality
  */
 
-import { getSocketEndpoint, uuidv7 } from './utils.js'
-import {
-  getCredentials,
-  getExternalId,
-  addMessage,
-  toggleTypingStatus,
-  setTransport
-} from './chat.js'
+import { getBackoffDelay, getSocketEndpoint, uuidv7 } from './utils.js'
+import { SOCKET_STATES } from './constants.js'
+import { ChatSdkError, ERROR_CODES, TransportError } from './errors.js'
+import { normalizeAttachments } from './attachments.js'
+import { normalizeBlocks } from './blocks.js'
 
 const PING_INTERVAL = 10000
 const SOCKET_TIMEOUT = 5000
+const ACK_TIMEOUT = 5000
+const RECONNECT_MAX_ATTEMPTS = 10
+const RECONNECT_BASE_DELAY = 1000
+const RECONNECT_MAX_DELAY = 30000
+// Close codes servers use for a missing, invalid or expired token
+const AUTH_CLOSE_CODES = new Set([1008, 4001, 4401])
+
+/**
+ * @typedef {Object} ReconnectPolicy
+ * @property {number} [maxAttempts=10] - Attempts before falling back to SSE for good
+ * @property {number} [baseDelay=1000] - Delay before the first attempt, doubled on every attempt
+ * @property {number} [maxDelay=30000] - Upper bound for the delay between attempts
+ */
 
 /**
  * @typedef {Object} SocketSession
@@ -23,6 +33,9 @@ const SOCKET_TIMEOUT = 5000
  * @property {NodeJS.Timeout} [pingInterval]
  * @property {NodeJS.Timeout} [socketDisconnectedTimeout]
  * @property {NodeJS.Timeout} [socketConnectionTimeout]
+ * @property {NodeJS.Timeout} [reconnectTimeout]
+ * @property {number} reconnectAttempts
+ * @property {{ sessionId?: string, requestId?: string }} [lastPayload] - Payload reused on reconnect
  */
 
 /**
@@ -32,6 +45,11 @@ export const SocketEvents = {
   MESSAGE: 'message',
   TYPING: 'typing',
   TYPING_STOP: 'typingOff',
+  SEEN: 'seen',
+  QUEUE_UPDATE: 'queue',
+  AGENT_JOINED: 'agentJoined',
+  AGENT_LEFT: 'agentLeft',
+  AGENT_TRANSFER: 'transfer',
   END: 'end'
 }
 
@@ -46,319 +64,548 @@ function createSession() {
     socketDisconnected: false,
     pingInterval: null,
     socketDisconnectedTimeout: null,
-    socketConnectionTimeout: null
+    socketConnectionTimeout: null,
+    reconnectTimeout: null,
+    reconnectAttempts: 0,
+    lastPayload: undefined
   }
 }
 
-/** @type {SocketSession} */
-let currentSession = createSession()
-
 /**
- * Stop ping interval
+ * Get the reconnect policy from the credentials
+ * @param {Object} [credentials]
+ * @returns {Required<ReconnectPolicy> | null} null when reconnection is disabled
  */
-function stopPingInterval() {
-  if (currentSession.pingInterval) {
-    clearInterval(currentSession.pingInterval)
-    currentSession.pingInterval = null
+function getReconnectPolicy(credentials) {
+  const policy = credentials?.reconnect
+  if (policy === false) {
+    return null
+  }
+  return {
+    maxAttempts: policy?.maxAttempts ?? RECONNECT_MAX_ATTEMPTS,
+    baseDelay: policy?.baseDelay ?? RECONNECT_BASE_DELAY,
+    maxDelay: policy?.maxDelay ?? RECONNECT_MAX_DELAY
   }
 }
 
 /**
- * Start ping interval
+ * Create a socket service that keeps its own socket session
+ * @param {import('./client.js').ClientContext} client - Services of the owning client
  */
-function startPingInterval() {
-  stopPingInterval()
-
-  currentSession.pingInterval = setInterval(() => {
-    if (currentSession.socket && currentSession.socket.readyState === WebSocket.OPEN) {
-      send({ type: 'ping' })
-      console.log('Sending keep-alive ping')
-    } else {
-      console.log('Socket not open, stopping ping interval')
-      stopPingInterval()
+export function createSocketService(client) {
+  /** @type {SocketSession} */
+  let currentSession = createSession()
+
+  /**
+   * Stop ping interval
+   */
+  function stopPingInterval() {
+    if (currentSession.pingInterval) {
+      clearInterval(currentSession.pingInterval)
+      currentSession.pingInterval = null
     }
-  }, PING_INTERVAL)
-}
-
-/**
- * Clear all timeouts
- */
-function clearAllTimeouts() {
-  stopPingInterval()
-  if (currentSession.socketDisconnectedTimeout) {
-    clearTimeout(currentSession.socketDisconnectedTimeout)
-    currentSession.socketDisconnectedTimeout = null
-  }
-  if (currentSession.socketConnectionTimeout) {
-    clearTimeout(currentSession.socketConnectionTimeout)
-    currentSession.socketConnectionTimeout = null
   }
-}
 
-/**
- * Handle socket connected state
- */
-function handleSocketConnected() {
-  console.log('handleSocketConnected')
-  currentSession.socketDisconnected = false
-  setTransport('socket')
-}
+  /**
+   * Start ping interval
+   */
+  function startPingInterval() {
+    stopPingInterval()
+
+    currentSession.pingInterval = setInterval(() => {
+      if (currentSession.socket && currentSession.socket.readyState === SOCKET_STATES.OPEN) {
+        send({ type: 'ping' })
+        client.logger.debug('Sending keep-alive ping')
+      } else {
+        client.logger.debug('Socket not open, stopping ping interval')
+        stopPingInterval()
+      }
+    }, PING_INTERVAL)
+  }
 
-/**
- * Handle socket disconnected state
- */
-function handleSocketDisconnected() {
-  console.log('handleSocketDisconnected')
-  currentSession.socketDisconnected = true
-  setTransport('sse')
-}
+  /**
+   * Clear all timeouts
+   */
+  function clearAllTimeouts() {
+    stopPingInterval()
+    if (currentSession.socketDisconnectedTimeout) {
+      clearTimeout(currentSession.socketDisconnectedTimeout)
+      currentSession.socketDisconnectedTimeout = null
+    }
+    if (currentSession.socketConnectionTimeout) {
+      clearTimeout(currentSession.socketConnectionTimeout)
+      currentSession.socketConnectionTimeout = null
+    }
+  }
 
-/**
- * Connect to socket
- * @param {{ token: string, sessionId?: string }} payload
- * @returns {Promise<boolean>}
- */
-export function connectSocket(payload) {
-  return new Promise((fulfill, reject) => {
-    if (
-      currentSession.socket &&
-      (currentSession.socket.readyState === WebSocket.CONNECTING ||
-        currentSession.socket.readyState === WebSocket.OPEN)
-    ) {
-      console.log('Socket in connecting/open state, returning.')
-      fulfill(currentSession.socket.readyState === WebSocket.OPEN)
-      return
+  /**
+   * Stop any pending reconnect attempt
+   */
+  function stopReconnecting() {
+    if (currentSession.reconnectTimeout) {
+      clearTimeout(currentSession.reconnectTimeout)
+      currentSession.reconnectTimeout = null
     }
+    currentSession.reconnectAttempts = 0
+  }
 
-    console.log('Initializing socket connection..')
-    const credentials = getCredentials()
-    if (!credentials || !credentials.endpoint) {
-      reject(new Error('SDK not initialized. Please initialize SDK first.'))
+  /**
+   * Schedule the next reconnect attempt, or give up once the policy is exhausted
+   */
+  function scheduleReconnect() {
+    if (currentSession.reconnectTimeout) {
       return
     }
 
-    const socketEndpoint = getSocketEndpoint(credentials.endpoint)
-    if (!socketEndpoint) {
-      reject(
-        new Error(
-          'Invalid endpoint while initializing SDK. Please check the endpoint and try again.'
-        )
-      )
+    const policy = getReconnectPolicy(client.chat.getCredentials())
+    if (!policy || currentSession.reconnectAttempts >= policy.maxAttempts) {
+      client.logger.warn('Socket reconnect attempts exhausted, staying on sse')
+      stopReconnecting()
+      currentSession.previouslyConnected = false
+      client.chat.addMessage({
+        errorText: 'Unable to establish connection',
+        errorCode: ERROR_CODES.SOCKET_ERROR,
+        done: true,
+        timestamp: new Date().toISOString()
+      })
+      // Messages held for the socket go out over sse instead
+      client.outbox.flush()
+      client.handoff.end()
       return
     }
 
-    const externalId = getExternalId()
-    const queryParams = new URLSearchParams({
-      externalId
+    currentSession.reconnectAttempts++
+    const attempt = currentSession.reconnectAttempts
+    const delay = getBackoffDelay(policy, attempt)
+    client.logger.info(
+      `Reconnecting socket in ${delay}ms (attempt ${attempt}/${policy.maxAttempts})`
+    )
+    client.chat.notifyReconnecting(attempt, delay)
+
+    currentSession.reconnectTimeout = setTimeout(() => {
+      currentSession.reconnectTimeout = null
+      connectWithLastPayload()
+    }, delay)
+  }
+
+  /**
+   * Connect again with the payload of the last connection
+   */
+  function connectWithLastPayload() {
+    connectSocket(currentSession.lastPayload).catch((error) => {
+      client.logger.warn('Socket reconnect attempt failed: ', error?.message)
+      // Once the socket exists, onclose and the connection timeout schedule the next attempt.
+      // Before that (e.g. the token could not be refreshed) nothing else would
+      if (!currentSession.socket && currentSession.previouslyConnected) {
+        scheduleReconnect()
+      }
     })
+  }
 
-    if (payload.sessionId) {
-      queryParams.set('sessionId', payload.sessionId)
-    }
-    if (payload.requestId) {
-      queryParams.set('requestId', payload.requestId)
-    }
-    if (credentials.token) {
-      queryParams.set('token', credentials.token)
-    }
+  /**
+   * Drop a socket that is no longer usable and start reconnecting
+   */
+  function dropSocket() {
+    const socket = currentSession.socket
+    // Detach first so its own onclose does not schedule a second reconnect
+    currentSession.socket = null
+    clearAllTimeouts()
+    socket?.close()
+    handleSocketDisconnected()
+    scheduleReconnect()
+  }
 
-    const socketUrl = `${socketEndpoint}?${queryParams.toString()}`
-    currentSession.socket = new WebSocket(socketUrl)
+  /**
+   * Handle socket connected state
+   */
+  function handleSocketConnected() {
+    client.logger.debug('handleSocketConnected')
+    currentSession.socketDisconnected = false
+    client.chat.setTransport('socket')
+  }
 
-    currentSession.socket.onopen = () => {
-      console.log('-------- socket connected --------')
-      currentSession.previouslyConnected = true
-      handleSocketConnected()
-      send({ type: 'ping' })
-      clearTimeout(currentSession.socketConnectionTimeout)
-      startPingInterval()
-      fulfill(true)
-    }
+  /**
+   * Handle socket disconnected state
+   */
+  function handleSocketDisconnected() {
+    client.logger.debug('handleSocketDisconnected')
+    currentSession.socketDisconnected = true
+    client.chat.setTransport('sse')
+  }
 
-    currentSession.socket.onmessage = (event) => {
-      const message = JSON.parse(event.data)
-      handleSocketEvent(message)
-    }
+  /**
+   * Connect to socket
+   * The socket reconnects on its own after an unexpected close, reusing this payload
+   * @param {{ sessionId?: string, requestId?: string }} payload
+   * @returns {Promise<boolean>}
+   */
+  async function connectSocket(payload = {}) {
+    // Resolved up front, so checking the socket state and opening it happen without a gap
+    const externalId = await client.chat.getExternalId()
+    const token = await client.auth.getToken()
+
+    return new Promise((fulfill, reject) => {
+      if (
+        currentSession.socket &&
+        (currentSession.socket.readyState === SOCKET_STATES.CONNECTING ||
+          currentSession.socket.readyState === SOCKET_STATES.OPEN)
+      ) {
+        client.logger.debug('Socket in connecting/open state, returning.')
+        fulfill(currentSession.socket.readyState === SOCKET_STATES.OPEN)
+        return
+      }
 
-    currentSession.socket.onerror = (error) => {
-      console.error('Socket error:', error)
-      setTransport('sse')
-      reject(error)
-    }
+      client.logger.debug('Initializing socket connection..')
+      const credentials = client.chat.getCredentials()
+      if (!credentials || !credentials.endpoint) {
+        reject(
+          new ChatSdkError('SDK not initialized. Please initialize SDK first.', {
+            code: ERROR_CODES.NOT_INITIALIZED
+          })
+        )
+        return
+      }
+
+      const socketEndpoint = getSocketEndpoint(credentials.endpoint)
+      if (!socketEndpoint) {
+        reject(
+          new ChatSdkError(
+            'Invalid endpoint while initializing SDK. Please check the endpoint and try again.',
+            { code: ERROR_CODES.INVALID_CONFIG }
+          )
+        )
+        return
+      }
+
+      currentSession.lastPayload = { sessionId: payload.sessionId, requestId: payload.requestId }
+
+      const queryParams = new URLSearchParams({
+        externalId
+      })
+
+      if (payload.sessionId) {
+        queryParams.set('sessionId', payload.sessionId)
+      }
+      if (payload.requestId) {
+        queryParams.set('requestId', payload.requestId)
+      }
+      if (token) {
+        queryParams.set('token', token)
+      }
+
+      const socketUrl = `${socketEndpoint}?${queryParams.toString()}`
+      const WebSocketImpl = client.chat.getWebSocket()
+      currentSession.socket = new WebSocketImpl(socketUrl)
+
+      currentSession.socket.onopen = () => {
+        client.logger.info('-------- socket connected --------')
+        const reconnectAttempts = currentSession.reconnectAttempts
+        currentSession.previouslyConnected = true
+        stopReconnecting()
+        handleSocketConnected()
+        send({ type: 'ping' })
+        clearTimeout(currentSession.socketConnectionTimeout)
+        startPingInterval()
+        if (reconnectAttempts > 0) {
+          client.chat.notifyReconnected(reconnectAttempts)
+          client.outbox.flush()
+        }
+        fulfill(true)
+      }
+
+      currentSession.socket.onmessage = (event) => {
+        const message = JSON.parse(event.data)
+        handleSocketEvent(message)
+      }
+
+      currentSession.socket.onerror = (event) => {
+        client.logger.error('Socket error:', event)
+        client.chat.setTransport('sse')
+        reject(
+          new TransportError('Socket connection failed', {
+            code: ERROR_CODES.SOCKET_ERROR,
+            cause: event
+          })
+        )
+      }
 
-    currentSession.socket.onclose = (ws) => {
-      console.log('-------- socket disconnected --------: ', ws.code, ws.reason)
+      currentSession.socket.onclose = (ws) => {
+        client.logger.info('-------- socket disconnected --------: ', ws.code, ws.reason)
+
+        if (ws.target === currentSession.socket) {
+          currentSession.socket = null
+          clearAllTimeouts()
+
+          if (AUTH_CLOSE_CODES.has(ws.code) && client.auth.usesToken()) {
+            // The reconnect asks the provider for a fresh token rather than reusing this one
+            client.auth.invalidate()
+          }
 
-      if (ws.target === currentSession.socket) {
-        if (ws.code === 1006) {
-          // abnormal closure
           if (currentSession.previouslyConnected) {
-            handleSocketDisconnected()
-          } else {
-            addMessage({
+            // Anything but a normal closure from the server is worth a reconnect
+            if (ws.code !== 1000) {
+              handleSocketDisconnected()
+              scheduleReconnect()
+            }
+          } else if (ws.code === 1006) {
+            // abnormal closure
+            client.chat.addMessage({
               errorText: 'Unable to establish connection',
+              errorCode: ERROR_CODES.SOCKET_ERROR,
               done: true,
               timestamp: new Date().toISOString()
             })
           }
-          clearTimeout(currentSession.socketConnectionTimeout)
         }
+      }
 
-        currentSession.socket = null
-        clearAllTimeouts()
+      if (currentSession.previouslyConnected) {
+        currentSession.socketConnectionTimeout = setTimeout(() => {
+          client.logger.warn('Socket reconnection timed out')
+          dropSocket()
+          reject(
+            new TransportError('Socket connection timed out', { code: ERROR_CODES.SOCKET_TIMEOUT })
+          )
+        }, SOCKET_TIMEOUT)
+      } else {
+        currentSession.socketConnectionTimeout = setTimeout(() => {
+          client.logger.error('Socket connection timed out')
+          client.chat.addMessage({
+            errorText: 'Unable to establish connection',
+            errorCode: ERROR_CODES.SOCKET_TIMEOUT,
+            done: true,
+            timestamp: new Date().toISOString()
+          })
+          reject(
+            new TransportError('Socket connection timed out', { code: ERROR_CODES.SOCKET_TIMEOUT })
+          )
+        }, SOCKET_TIMEOUT)
       }
-    }
+    })
+  }
 
-    if (!currentSession.previouslyConnected) {
-      currentSession.socketConnectionTimeout = setTimeout(() => {
-        console.error('Socket connection timed out')
-        addMessage({
-          errorText: 'Unable to establish connection',
-          done: true,
-          timestamp: new Date().toISOString()
-        })
-        reject(new Error('Socket connection timed out'))
-      }, SOCKET_TIMEOUT)
+  /**
+   * Send data through socket
+   * @param {Object} data
+   * @returns {boolean} false when the socket is down and nothing was sent
+   */
+  function send(data) {
+    client.logger.debug('sending socket event: ', data.type)
+    if (currentSession.socketDisconnected || !currentSession.socket) {
+      client.logger.error('Failed to send socket event, socket not connected: ', data.type)
+      return false
     }
-  })
-}
-
-/**
- * Send data through socket
- * @param {Object} data
- */
-export function send(data) {
-  console.log('sending socket event: ', data.type)
-  if (currentSession.socketDisconnected || !currentSession.socket) {
-    return
+    currentSession.socket.send(JSON.stringify({ ...data, eventId: data.eventId || uuidv7() }))
+    return true
   }
-  currentSession.socket.send(JSON.stringify({ ...data, eventId: data.eventId || uuidv7() }))
-}
 
-/**
- * Send data through socket and wait for acknowledgment
- * @param {Object} data
- * @returns {Promise<Object>}
- */
-export function sendWithAck(data) {
-  return new Promise((resolve, reject) => {
-    if (!currentSession.socket) {
-      console.error('sendWithAck: socket instance not found or not connected')
-      reject(new Error('Socket instance not found or not connected'))
-      return
-    }
+  /**
+   * Send data through socket and wait for acknowledgment
+   * The server acknowledges by replying with the same `eventId`
+   * @param {Object} data
+   * @param {number} [timeout] - Time in ms to wait for the acknowledgment
+   * @returns {Promise<Object>}
+   */
+  function sendWithAck(data, timeout = client.chat.getCredentials()?.ackTimeout ?? ACK_TIMEOUT) {
+    return new Promise((resolve, reject) => {
+      const socket = currentSession.socket
+      if (!socket || currentSession.socketDisconnected) {
+        client.logger.error('sendWithAck: socket instance not found or not connected')
+        reject(
+          new TransportError('Socket instance not found or not connected', {
+            code: ERROR_CODES.SOCKET_NOT_CONNECTED
+          })
+        )
+        return
+      }
+
+      const eventId = data.eventId || uuidv7()
 
-    const autoRejectTimeout = setTimeout(() => {
-      reject(new Error('Timeout'))
-    }, 5000)
-
-    const eventId = data.eventId || uuidv7()
-
-    const onMessage = (event) => {
-      const eventData = JSON.parse(event.data)
-      if (eventData.eventId === eventId) {
-        clearTimeout(autoRejectTimeout)
-        currentSession.socket.removeEventListener('message', onMessage)
-        if (eventData.data) {
-          resolve(eventData.data)
-        } else {
-          reject(new Error(eventData.error?.message ?? 'Unknown error'))
+      const autoRejectTimeout = setTimeout(() => {
+        socket.removeEventListener('message', onMessage)
+        reject(new TransportError('Timeout', { code: ERROR_CODES.ACK_TIMEOUT }))
+      }, timeout)
+
+      const onMessage = (event) => {
+        const eventData = JSON.parse(event.data)
+        if (eventData.eventId === eventId) {
+          clearTimeout(autoRejectTimeout)
+          socket.removeEventListener('message', onMessage)
+          if (eventData.data) {
+            resolve(eventData.data)
+          } else {
+            reject(
+              new ChatSdkError(eventData.error?.message ?? 'Unknown error', {
+                code: ERROR_CODES.MESSAGE_REJECTED,
+                cause: eventData.error
+              })
+            )
+          }
         }
       }
-    }
-    currentSession.socket.addEventListener('message', onMessage)
-    currentSession.socket.send(JSON.stringify({ ...data, eventId }))
-  })
-}
-
-/**
- * Handle socket event
- * @param {Object} event
- */
-function handleSocketEvent(event) {
-  console.log('received socket event: ', event.type)
+      socket.addEventListener('message', onMessage)
+      socket.send(JSON.stringify({ ...data, eventId }))
+    })
+  }
 
-  switch (event.type) {
-    case 'pong': {
-      if (currentSession.socketDisconnected) {
-        handleSocketConnected()
+  /**
+   * Handle socket event
+   * @param {Object} event
+   */
+  function handleSocketEvent(event) {
+    client.logger.debug('received socket event: ', event.type)
+
+    switch (event.type) {
+      case 'pong': {
+        if (currentSession.socketDisconnected) {
+          handleSocketConnected()
+        }
+        if (currentSession.socketDisconnectedTimeout) {
+          clearTimeout(currentSession.socketDisconnectedTimeout)
+        }
+        currentSession.socketDisconnectedTimeout = setTimeout(() => {
+          client.logger.warn('---- socket ping timeout ----')
+          dropSocket()
+        }, PING_INTERVAL + 1000)
+        break
       }
-      if (currentSession.socketDisconnectedTimeout) {
-        clearTimeout(currentSession.socketDisconnectedTimeout)
+      case SocketEvents.TYPING: {
+        client.chat.toggleTypingStatus(true)
+        break
       }
-      currentSession.socketDisconnectedTimeout = setTimeout(() => {
-        console.log('---- socket ping timeout ----')
-        handleSocketDisconnected()
-      }, PING_INTERVAL + 1000)
-      break
-    }
-    case SocketEvents.TYPING: {
-      toggleTypingStatus(true)
-      break
+      case SocketEvents.TYPING_STOP: {
+        client.chat.toggleTypingStatus(false)
+        break
+      }
+      case SocketEvents.QUEUE_UPDATE: {
+        client.handoff.handleQueueUpdate(event.data ?? {})
+        break
+      }
+      case SocketEvents.AGENT_JOINED: {
+        client.handoff.handleAgentJoined(event.data ?? {})
+        break
+      }
+      case SocketEvents.AGENT_LEFT: {
+        client.handoff.handleAgentLeft(event.data ?? {})
+        break
+      }
+      case SocketEvents.AGENT_TRANSFER: {
+        client.handoff.handleTransfer(event.data ?? {})
+        break
+      }
+      case SocketEvents.SEEN: {
+        client.chat.handleReadReceipt(event.data ?? {})
+        break
+      }
+      case SocketEvents.MESSAGE: {
+        const { eventId, data } = event
+        if (!eventId) {
+          const id = data.id ?? uuidv7()
+          client.chat.addMessage({
+            ...data,
+            id,
+            attachments: normalizeAttachments(data),
+            blocks: normalizeBlocks(data, id),
+            done: true,
+            timestamp: new Date().toISOString()
+          })
+        }
+        break
+      }
+      case SocketEvents.END: {
+        client.handoff.end()
+        disconnect()
+        break
+      }
+      default:
+        break
     }
-    case SocketEvents.TYPING_STOP: {
-      toggleTypingStatus(false)
-      break
+  }
+
+  /**
+   * Reconnect to socket
+   * Pings an open socket, or retries a dropped one right away instead of waiting for the backoff
+   */
+  function reconnect() {
+    if (currentSession.socket) {
+      send({ type: 'ping' })
+    } else if (currentSession.previouslyConnected) {
+      stopReconnecting()
+      connectWithLastPayload()
     }
-    case SocketEvents.MESSAGE: {
-      const { eventId, data } = event
-      if (!eventId) {
-        addMessage({
-          ...data,
-          done: true,
-          timestamp: new Date().toISOString()
-        })
-      }
-      break
+  }
+
+  /**
+   * Reopen an open socket, so the server sees a refreshed token
+   * A socket that is down picks the new token up when it reconnects
+   */
+  function restart() {
+    const socket = currentSession.socket
+    if (!socket || socket.readyState !== SOCKET_STATES.OPEN) {
+      return
     }
-    case SocketEvents.END: {
-      disconnect()
-      break
+    client.logger.debug('Restarting socket')
+    // Detach first so its own onclose does not schedule a reconnect
+    currentSession.socket = null
+    clearAllTimeouts()
+    socket.close(1000)
+    connectWithLastPayload()
+  }
+
+  /**
+   * Disconnect socket
+   */
+  function disconnect() {
+    client.logger.debug('Disconnecting socket')
+    if (currentSession.socket) {
+      currentSession.socket.close(1000)
     }
-    default:
-      break
+    currentSession.previouslyConnected = false
+    clearAllTimeouts()
+    stopReconnecting()
+    currentSession.socket = null
+    client.typing.reset()
+    client.handoff.reset()
+    client.chat.setTransport('sse')
   }
-}
 
-/**
- * Reconnect to socket
- */
-export function reconnect() {
-  if (currentSession.socket) {
-    send({ type: 'ping' })
+  /**
+   * Check if socket is connected
+   * @returns {boolean}
+   */
+  function isConnected() {
+    return (
+      currentSession.socket !== null &&
+      currentSession.socket.readyState === SOCKET_STATES.OPEN &&
+      !currentSession.socketDisconnected
+    )
   }
-}
 
-/**
- * Disconnect socket
- */
-export function disconnect() {
-  console.log('Disconnecting socket')
-  if (currentSession.socket) {
-    currentSession.socket.close(1000)
+  /**
+   * Check if socket is disconnected
+   * @returns {boolean}
+   */
+  function isDisconnected() {
+    return currentSession.socketDisconnected
   }
-  currentSession.previouslyConnected = false
-  clearAllTimeouts()
-  currentSession.socket = null
-  setTransport('sse')
-}
 
-/**
- * Check if socket is connected
- * @returns {boolean}
- */
-export function isConnected() {
-  return (
-    currentSession.socket !== null &&
-    currentSession.socket.readyState === WebSocket.OPEN &&
-    !currentSession.socketDisconnected
-  )
-}
+  /**
+   * Check if a dropped socket is being reconnected
+   * @returns {boolean}
+   */
+  function isReconnecting() {
+    return currentSession.reconnectAttempts > 0
+  }
 
-/**
- * Check if socket is disconnected
- * @returns {boolean}
- */
-export function isDisconnected() {
-  return currentSession.socketDisconnected
+  return {
+    connectSocket,
+    send,
+    sendWithAck,
+    reconnect,
+    restart,
+    disconnect,
+    isConnected,
+    isDisconnected,
+    isReconnecting
+  }
 }
@@ -0,0 +1,188 @@
+/**
+ * Sources for Chat SDK
+ * Normalizes the sources a reply cites, merges them across streamed chunks,
+ * and maps the citation markers of the text to them
+ */
+
+/**
+ * @typedef {Object} Source
+ * @property {string} [id]
+ * @property {string} title
+ * @property {string} [url]
+ * @property {string} [snippet] - Excerpt the reply is based on
+ * @property {number} [score] - Relevance, higher is more relevant
+ * @property {number} [number] - Number the text cites the source with, e.g. 2 for `[2]`
+ */
+
+/**
+ * @typedef {Object} Citation
+ * @property {number} start - Offset of the marker in the text
+ * @property {number} end - Offset after the marker
+ * @property {number} number - Number of the marker, e.g. 2 for `[2]`
+ * @property {number} sourceIndex - Index of the cited source in `sources`
+ */
+
+// `[2]`, `[^2]` and `【2】`, but not links like `[2](url)`
+const CITATION_MARKER = /\[\^?(\d{1,3})\](?!\()|【(\d{1,3})】/g
+// Length of the longest marker, `[^999]`
+const CITATION_MARKER_MAX_LENGTH = 6
+
+/**
+ * Normalize a source received from the server, whatever names its fields use
+ * @param {string | Object} raw - A URL, or a source object
+ * @returns {Source}
+ */
+function normalizeSource(raw) {
+  if (typeof raw === 'string') {
+    return { title: raw, url: raw }
+  }
+  const url = raw.url ?? raw.link ?? raw.href ?? raw.source
+  return {
+    id: raw.id ?? raw.sourceId ?? raw.documentId,
+    title: raw.title ?? raw.name ?? url ?? 'Source',
+    url,
+    snippet: raw.snippet ?? raw.excerpt ?? raw.content ?? raw.text,
+    score: raw.score ?? raw.relevance,
+    number: raw.number ?? raw.citation
+  }
+}
+
+/**
+ * Key two copies of the same source share
+ * @param {Source} source
+ * @returns {string}
+ */
+function getSourceKey(source) {
+  if (source.url) {
+    return `url:${source.url}`
+  }
+  return source.id !== undefined ? `id:${source.id}` : `title:${source.title}`
+}
+
+/**
+ * Complete a source with what a duplicate of it knows, keeping the best score
+ * @param {Source} source
+ * @param {Source} duplicate
+ * @returns {Source} The source itself when the duplicate knows nothing more
+ */
+function completeSource(source, duplicate) {
+  const completed = { ...source }
+  let changed = false
+  Object.entries(duplicate).forEach(([key, value]) => {
+    if (completed[key] === undefined && value !== undefined) {
+      completed[key] = value
+      changed = true
+    }
+  })
+  if (duplicate.score !== undefined && duplicate.score > completed.score) {
+    completed.score = duplicate.score
+    changed = true
+  }
+  return changed ? completed : source
+}
+
+/**
+ * Merge sources into the ones already known, dropping duplicates by URL or ID
+ * Known sources keep their place, and are completed by their duplicates
+ * @param {Source[]} [known]
+ * @param {Array} [incoming] - Raw sources, e.g. of a chunk of the stream
+ * @returns {Source[] | undefined} `known` itself when nothing was added or completed,
+ *   undefined when there are none
+ */
+export function mergeSources(known, incoming) {
+  const merged = [...(known ?? [])]
+  const indexes = new Map(merged.map((source, index) => [getSourceKey(source), index]))
+  let changed = false
+
+  // Empty entries, e.g. null, are skipped
+  for (const source of (incoming ?? []).filter(Boolean).map(normalizeSource)) {
+    const key = getSourceKey(source)
+    if (indexes.has(key)) {
+      const index = indexes.get(key)
+      const completed = completeSource(merged[index], source)
+      changed = changed || completed !== merged[index]
+      merged[index] = completed
+    } else {
+      indexes.set(key, merged.length)
+      merged.push(source)
+      changed = true
+    }
+  }
+
+  if (!changed && known?.length) {
+    return known
+  }
+  return merged.length ? merged : undefined
+}
+
+/**
+ * Find the citation markers from an offset of a text on
+ * @param {string} text
+ * @param {Source[]} sources
+ * @param {number} from
+ * @returns {Citation[]}
+ */
+function findCitations(text, sources, from) {
+  const numbered = sources.some((source) => source.number !== undefined)
+
+  const citations = []
+  const marker = new RegExp(CITATION_MARKER)
+  marker.lastIndex = from
+  let match
+  while ((match = marker.exec(text))) {
+    const number = Number(match[1] ?? match[2])
+    const sourceIndex = numbered
+      ? sources.findIndex((source) => source.number === number)
+      : number - 1
+    if (sourceIndex >= 0 && sourceIndex < sources.length) {
+      citations.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        number,
+        sourceIndex
+      })
+    }
+  }
+  return citations
+}
+
+/**
+ * Find the citation markers of a text and the sources they cite
+ * Markers cite the source with their `number` when the server numbers sources,
+ * the source at that position (1-based) otherwise; markers citing no source are skipped
+ * @param {string} [text]
+ * @param {Source[]} [sources]
+ * @returns {Citation[] | undefined} undefined when there are none
+ */
+export function getCitations(text, sources) {
+  if (!text || !sources?.length) {
+    return undefined
+  }
+  const citations = findCitations(text, sources, 0)
+  return citations.length ? citations : undefined
+}
+
+/**
+ * Update the citations of a text that grew, e.g. with a chunk of the stream, for the same sources
+ * Only the end of the text is scanned: a marker may be split across chunks, and one ending the
+ * previous text turns into a link when `(` follows it
+ * @param {Citation[] | undefined} citations - Citations of the previous text
+ * @param {string} [text]
+ * @param {Source[]} [sources]
+ * @param {number} previousLength - Length of the previous text
+ * @returns {Citation[] | undefined} undefined when there are none
+ */
+export function appendCitations(citations, text, sources, previousLength) {
+  if (!text || !sources?.length) {
+    return undefined
+  }
+  let from = Math.max(previousLength - CITATION_MARKER_MAX_LENGTH, 0)
+  const kept = (citations ?? []).filter((citation) => citation.end <= from)
+  const rescanned = citations?.[kept.length]
+  if (rescanned && rescanned.start < from) {
+    from = rescanned.start
+  }
+
+  const appended = [...kept, ...findCitations(text, sources, from)]
+  return appended.length ? appended : undefined
+}
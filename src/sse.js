@@ -0,0 +1,135 @@
+/**
+ * Server-Sent Events over fetch for Chat SDK
+ * Unlike EventSource it supports POST bodies and headers, and it needs no DOM,
+ * so it runs in browsers and in Node alike
+ */
+
+import { NetworkError } from './errors.js'
+
+/**
+ * @typedef {Object} ServerEvent
+ * @property {string} event - Event name, empty for unnamed events
+ * @property {string} data
+ * @property {string} id - Last event ID seen on the stream
+ */
+
+/**
+ * @typedef {Object} StreamEventsOptions
+ * @property {typeof fetch} fetch - fetch implementation to use
+ * @property {string} [method]
+ * @property {Object} [headers]
+ * @property {string} [body]
+ * @property {AbortSignal} [signal]
+ * @property {string} [lastEventId] - ID of the last event received before a reconnect, sent as `Last-Event-ID`
+ * @property {(response: Response) => void | Promise<void>} [onopen] - Called with the response before reading it, throw to stop
+ * @property {(event: ServerEvent) => void} onmessage - Called for every event
+ */
+
+/**
+ * Read the chunks of a response body, whether it is a web ReadableStream or a Node stream
+ * Rejects with a NetworkError when the connection drops mid-stream
+ * @param {ReadableStream | AsyncIterable<Uint8Array>} body
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+async function* readChunks(body) {
+  try {
+    if (typeof body.getReader === 'function') {
+      const reader = body.getReader()
+      try {
+        while (true) {
+          const { done, value } = await reader.read()
+          if (done) {
+            return
+          }
+          yield value
+        }
+      } finally {
+        reader.releaseLock()
+      }
+    }
+    yield* body
+  } catch (error) {
+    throw new NetworkError('Connection to the server was lost', { cause: error })
+  }
+}
+
+/**
+ * Open an event stream and dispatch its events until the server closes it
+ * Resolves when the stream ends or the signal aborts, rejects on network or `onopen` errors,
+ * network errors being NetworkErrors
+ * @param {string} url
+ * @param {StreamEventsOptions} options
+ * @returns {Promise<void>}
+ */
+export async function streamEvents(
+  url,
+  { fetch, method = 'GET', headers, body, signal, lastEventId: resumeFrom = '', onopen, onmessage }
+) {
+  try {
+    let response
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          accept: 'text/event-stream',
+          ...(resumeFrom && { 'Last-Event-ID': resumeFrom }),
+          ...headers
+        },
+        body,
+        signal
+      })
+    } catch (error) {
+      throw new NetworkError('Unable to reach the server, please check your connection', {
+        cause: error
+      })
+    }
+    await onopen?.(response)
+
+    const decoder = new TextDecoder()
+    let buffer = ''
+    let lastEventId = resumeFrom
+    let event = { event: '', data: [] }
+
+    const dispatchLine = (line) => {
+      if (line === '') {
+        // A blank line ends the event
+        if (event.data.length) {
+          onmessage({ event: event.event, data: event.data.join('\n'), id: lastEventId })
+        }
+        event = { event: '', data: [] }
+        return
+      }
+      if (line.startsWith(':')) {
+        return // comment, e.g. keep-alive
+      }
+      const separator = line.indexOf(':')
+      const field = separator === -1 ? line : line.slice(0, separator)
+      let value = separator === -1 ? '' : line.slice(separator + 1)
+      if (value.startsWith(' ')) {
+        value = value.slice(1)
+      }
+      if (field === 'event') {
+        event.event = value
+      } else if (field === 'data') {
+        event.data.push(value)
+      } else if (field === 'id' && !value.includes('\0')) {
+        lastEventId = value
+      }
+    }
+
+    for await (const chunk of readChunks(response.body)) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true })
+      // A trailing \r may be the first half of \r\n, so it is not split on yet
+      const lines = buffer.split(/\r\n|\r(?!$)|\n/)
+      // The last piece may be an incomplete line
+      buffer = lines.pop()
+      lines.forEach(dispatchLine)
+    }
+    // An event not terminated by a blank line is incomplete and dropped, as per the spec
+  } catch (error) {
+    if (signal?.aborted) {
+      return
+    }
+    throw error
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Storage Adapters for Chat SDK
+ * Everything the SDK persists (device ID, outbox) goes through an adapter,
+ * so it can live in localStorage, sessionStorage, memory, cookies or the app's own store
+ */
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {(key: string) => Promise<string | null>} get
+ * @property {(key: string, value: string) => Promise<void>} set
+ * @property {(key: string) => Promise<void>} remove
+ */
+
+/**
+ * @typedef {Object} StorageOptions
+ * @property {string} [prefix=''] - Prepended to every key, e.g. to keep tenants apart
+ */
+
+/**
+ * Get a Web Storage area if it can actually be written to
+ * Access throws in SSR, some Safari private modes and sandboxed iframes
+ * @param {() => Storage} getArea
+ * @returns {Storage | null}
+ */
+function getUsableArea(getArea) {
+  try {
+    const area = getArea()
+    const probe = '__chatStorageProbe__'
+    area.setItem(probe, probe)
+    area.removeItem(probe)
+    return area
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Create an adapter over a Web Storage area, falling back to memory when it is unusable
+ * @param {() => Storage} getArea
+ * @param {StorageOptions} options
+ * @returns {StorageAdapter}
+ */
+function createWebStorage(getArea, { prefix = '' } = {}) {
+  const area = getUsableArea(getArea)
+  if (!area) {
+    return createMemoryStorage({ prefix })
+  }
+
+  return {
+    async get(key) {
+      return area.getItem(prefix + key)
+    },
+    async set(key, value) {
+      area.setItem(prefix + key, value)
+    },
+    async remove(key) {
+      area.removeItem(prefix + key)
+    }
+  }
+}
+
+/**
+ * Storage backed by localStorage
+ * @param {StorageOptions} [options]
+ * @returns {StorageAdapter}
+ */
+export function createLocalStorage(options) {
+  return createWebStorage(() => window.localStorage, options)
+}
+
+/**
+ * Storage backed by sessionStorage, cleared when the tab is closed
+ * @param {StorageOptions} [options]
+ * @returns {StorageAdapter}
+ */
+export function createSessionStorage(options) {
+  return createWebStorage(() => window.sessionStorage, options)
+}
+
+/**
+ * Storage kept in memory, lost on reload
+ * @param {StorageOptions} [options]
+ * @returns {StorageAdapter}
+ */
+export function createMemoryStorage({ prefix = '' } = {}) {
+  const values = new Map()
+
+  return {
+    async get(key) {
+      return values.get(prefix + key) ?? null
+    },
+    async set(key, value) {
+      values.set(prefix + key, value)
+    },
+    async remove(key) {
+      values.delete(prefix + key)
+    }
+  }
+}
+
+/**
+ * Storage backed by cookies, e.g. to share the device ID across subdomains
+ * Cookies are limited to about 4KB each
+ * @param {StorageOptions & { maxAge?: number, path?: string, domain?: string, sameSite?: string, secure?: boolean }} [options]
+ * @returns {StorageAdapter}
+ */
+export function createCookieStorage({
+  prefix = '',
+  maxAge = 60 * 60 * 24 * 365,
+  path = '/',
+  domain,
+  sameSite = 'Lax',
+  secure = typeof location !== 'undefined' && location.protocol === 'https:'
+} = {}) {
+  if (typeof document === 'undefined') {
+    return createMemoryStorage({ prefix })
+  }
+
+  const writeCookie = (key, value, age) => {
+    const attributes = [`path=${path}`, `max-age=${age}`, `SameSite=${sameSite}`]
+    if (domain) {
+      attributes.push(`domain=${domain}`)
+    }
+    if (secure) {
+      attributes.push('Secure')
+    }
+    document.cookie = `${encodeURIComponent(prefix + key)}=${encodeURIComponent(value)}; ${attributes.join('; ')}`
+  }
+
+  return {
+    async get(key) {
+      const name = `${encodeURIComponent(prefix + key)}=`
+      const cookie = document.cookie.split('; ').find((entry) => entry.startsWith(name))
+      return cookie ? decodeURIComponent(cookie.slice(name.length)) : null
+    },
+    async set(key, value) {
+      writeCookie(key, value, maxAge)
+    },
+    async remove(key) {
+      writeCookie(key, '', 0)
+    }
+  }
+}
+
+/**
+ * Storage used when none is passed to `initialize`: localStorage when usable, memory otherwise
+ * @returns {StorageAdapter}
+ */
+export function createDefaultStorage() {
+  return createLocalStorage()
+}
+
+/**
+ * Check that a custom adapter implements the whole interface
+ * @param {StorageAdapter} storage
+ * @returns {boolean}
+ */
+export function isStorageAdapter(storage) {
+  return ['get', 'set', 'remove'].every((method) => typeof storage?.[method] === 'function')
+}
@@ -0,0 +1,145 @@
+/**
+ * Typing Service for Chat SDK
+ * Tells the live agent when the user is typing, without sending an event per keystroke
+ */
+
+import { SocketEvents } from './socket.js'
+
+const TYPING_THROTTLE = 3000
+const TYPING_TIMEOUT = 5000
+const TYPING_DRAFT_DELAY = 300
+
+/**
+ * @typedef {Object} TypingPolicy
+ * @property {number} [throttle=3000] - Min time in ms between typing events while the user keeps typing
+ * @property {number} [timeout=5000] - Time in ms without typing after which typing stops
+ * @property {boolean} [draftPreview=false] - Send the text being typed along, so the agent can
+ *   see it before it is sent
+ * @property {number} [draftDelay=300] - Time in ms the user must pause before a draft is sent
+ */
+
+/**
+ * Get the typing policy from the credentials
+ * @param {Object} [credentials]
+ * @returns {Required<TypingPolicy> | null} null when typing is not sent
+ */
+function getTypingPolicy(credentials) {
+  const policy = credentials?.typing
+  if (policy === false) {
+    return null
+  }
+  return {
+    throttle: policy?.throttle ?? TYPING_THROTTLE,
+    timeout: policy?.timeout ?? TYPING_TIMEOUT,
+    draftPreview: policy?.draftPreview ?? false,
+    draftDelay: policy?.draftDelay ?? TYPING_DRAFT_DELAY
+  }
+}
+
+/**
+ * Create a typing service bound to a client
+ * @param {import('./client.js').ClientContext} client - Services of the owning client
+ */
+export function createTypingService(client) {
+  let isTyping = false
+  let lastSentAt = 0
+  /** @type {string | undefined} */
+  let draft
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let stopTimeout
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let draftTimeout
+
+  /**
+   * Whether typing can reach a live agent
+   * @returns {boolean}
+   */
+  function canSend() {
+    return client.chat.getTransport() === 'socket' && client.socket.isConnected()
+  }
+
+  function clearTimeouts() {
+    clearTimeout(stopTimeout)
+    clearTimeout(draftTimeout)
+    stopTimeout = undefined
+    draftTimeout = undefined
+  }
+
+  /**
+   * Send a typing event with the latest draft
+   * @param {Required<TypingPolicy>} policy
+   */
+  function sendTyping(policy) {
+    clearTimeout(draftTimeout)
+    draftTimeout = undefined
+    isTyping = true
+    lastSentAt = Date.now()
+    client.socket.send({
+      type: SocketEvents.TYPING,
+      data: policy.draftPreview && draft !== undefined ? { draft } : undefined
+    })
+  }
+
+  /**
+   * Report that the user is typing, e.g. on every input event
+   * The first call sends a typing event right away, the following ones at most once per
+   * `throttle`, and typing stops by itself after `timeout` without calls
+   * @param {string} [text] - Text being typed, sent only with `draftPreview`
+   */
+  function notifyTyping(text) {
+    const policy = getTypingPolicy(client.chat.getCredentials())
+    if (!policy || !canSend()) {
+      return
+    }
+
+    const draftChanged = text !== undefined && text !== draft
+    draft = text
+    if (!isTyping || Date.now() - lastSentAt >= policy.throttle) {
+      sendTyping(policy)
+    } else if (policy.draftPreview && draftChanged) {
+      // The draft is sent once the user pauses
+      clearTimeout(draftTimeout)
+      draftTimeout = setTimeout(() => sendTyping(policy), policy.draftDelay)
+    }
+
+    clearTimeout(stopTimeout)
+    stopTimeout = setTimeout(() => setUserTyping(false), policy.timeout)
+  }
+
+  /**
+   * Set whether the user is typing
+   * @param {boolean} typing
+   * @param {string} [text] - Text being typed, sent only with `draftPreview`
+   */
+  function setUserTyping(typing, text) {
+    if (typing) {
+      notifyTyping(text)
+      return
+    }
+
+    clearTimeouts()
+    draft = undefined
+    if (!isTyping) {
+      return
+    }
+    isTyping = false
+    if (canSend()) {
+      client.socket.send({ type: SocketEvents.TYPING_STOP })
+    }
+  }
+
+  /**
+   * Forget the typing state without telling the agent, e.g. once the socket is closed
+   */
+  function reset() {
+    clearTimeouts()
+    isTyping = false
+    draft = undefined
+  }
+
+  return {
+    notifyTyping,
+    setUserTyping,
+    reset
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Updates Service for Chat SDK
+ * Reports message updates, coalescing the many updates of a streamed reply when asked to
+ */
+
+const FRAME_DELAY = 16
+
+/**
+ * @typedef {Object} StreamUpdatesPolicy
+ * @property {'frame' | number} [coalesce] - Report the updates of a streamed reply once per
+ *   animation frame, or at most once per this many ms; every chunk is reported when omitted
+ */
+
+/**
+ * Get the stream updates policy from the credentials
+ * @param {Object} [credentials]
+ * @returns {Required<StreamUpdatesPolicy> | null} null when updates are not coalesced
+ */
+function getStreamUpdatesPolicy(credentials) {
+  const coalesce = credentials?.streamUpdates?.coalesce
+  if (coalesce !== 'frame' && !(coalesce > 0)) {
+    return null
+  }
+  return { coalesce }
+}
+
+/**
+ * Call back on the next animation frame, or after a delay
+ * Without requestAnimationFrame, e.g. in Node, a frame is about 16ms
+ * @param {() => void} callback
+ * @param {'frame' | number} coalesce
+ * @returns {() => void} Cancels the call
+ */
+function schedule(callback, coalesce) {
+  if (coalesce === 'frame' && typeof requestAnimationFrame === 'function') {
+    const frame = requestAnimationFrame(callback)
+    return () => cancelAnimationFrame(frame)
+  }
+  const timeout = setTimeout(callback, coalesce === 'frame' ? FRAME_DELAY : coalesce)
+  return () => clearTimeout(timeout)
+}
+
+/**
+ * Create an updates service bound to a client
+ * @param {import('./client.js').ClientContext} client - Services of the owning client
+ */
+export function createUpdatesService(client) {
+  /** @type {Map<string, string>} Text appended to each message since its last reported update */
+  const pending = new Map()
+  /** @type {(() => void) | undefined} */
+  let cancelFlush
+
+  /**
+   * Emit `messageDelta` for the text appended, then `messageUpdate` with the message as it is now
+   * @param {string} id
+   * @param {string} [appended]
+   */
+  function emitUpdate(id, appended) {
+    const index = client.chat.getMessageIndex(id)
+    if (index === -1) {
+      // Gone meanwhile, e.g. replaced by the server's messages
+      return
+    }
+    if (appended) {
+      client.events.emit('messageDelta', id, appended)
+    }
+    client.events.emit('messageUpdate', index, client.chat.getMessage(id))
+  }
+
+  /**
+   * Report that a message was updated
+   * Chunks of a streamed reply are coalesced with the `streamUpdates` policy, other updates
+   * are reported right away, after the pending ones so the order is kept
+   * @param {string} id
+   * @param {string} [appended] - Text appended by a chunk of a streamed reply
+   */
+  function notifyUpdate(id, appended) {
+    const policy = getStreamUpdatesPolicy(client.chat.getCredentials())
+    if (!policy || appended === undefined) {
+      flush()
+      emitUpdate(id, appended)
+      return
+    }
+
+    pending.set(id, (pending.get(id) ?? '') + appended)
+    if (!cancelFlush) {
+      cancelFlush = schedule(flush, policy.coalesce)
+    }
+  }
+
+  /**
+   * Report the pending updates now, e.g. once a reply is complete
+   */
+  function flush() {
+    cancelFlush?.()
+    cancelFlush = undefined
+    const updates = [...pending]
+    pending.clear()
+    updates.forEach(([id, appended]) => emitUpdate(id, appended))
+  }
+
+  /**
+   * Drop the pending updates without reporting them, e.g. once the chat is closed
+   */
+  function reset() {
+    cancelFlush?.()
+    cancelFlush = undefined
+    pending.clear()
+  }
+
+  return {
+    notifyUpdate,
+    flush,
+    reset
+  }
+}
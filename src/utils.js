@@ -2,10 +2,25 @@
  * Utility functions for the Chat SDK
  */
 
+/**
+ * Fill a byte array with random values
+ * Falls back to Math.random where Web Crypto is missing (Node < 19 without a polyfill)
+ * @param {Uint8Array} bytes
+ */
+function fillRandomBytes(bytes) {
+  if (globalThis.crypto?.getRandomValues) {
+    globalThis.crypto.getRandomValues(bytes)
+    return
+  }
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = Math.floor(Math.random() * 256)
+  }
+}
+
 export function uuidv7() {
   const timestamp = Date.now()
   const bytes = new Uint8Array(16)
-  crypto.getRandomValues(bytes)
+  fillRandomBytes(bytes)
 
   // Set timestamp (48 bits)
   bytes[0] = (timestamp >> 40) & 0xff
@@ -28,13 +43,29 @@ export function uuidv7() {
   )}-${hex.slice(20)}`
 }
 
-export function getDeviceId() {
-  if (localStorage.getItem('chatDeviceId')) {
-    return localStorage.getItem('chatDeviceId')
+/**
+ * Get the device ID, generating and storing one on first use
+ * @param {import('./storage.js').StorageAdapter} storage
+ * @param {ReturnType<typeof import('./logger.js').createLogger>} logger
+ * @returns {Promise<string>}
+ */
+export async function getDeviceId(storage, logger) {
+  try {
+    const storedId = await storage.get('chatDeviceId')
+    if (storedId) {
+      return storedId
+    }
+  } catch (error) {
+    logger.error('Failed to read device ID: ', error)
   }
 
   const deviceId = uuidv7()
-  localStorage.setItem('chatDeviceId', deviceId)
+  try {
+    await storage.set('chatDeviceId', deviceId)
+  } catch (error) {
+    // Still usable for this page, just not remembered
+    logger.error('Failed to store device ID: ', error)
+  }
   return deviceId
 }
 
@@ -57,8 +88,43 @@ export function parseJwt(token) {
   }
 }
 
-export async function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms))
+/**
+ * Whether the browser reports a network connection, always true outside the browser
+ * @returns {boolean}
+ */
+export function isOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false
+}
+
+/**
+ * Wait for a while
+ * @param {number} ms
+ * @param {AbortSignal} [signal] - Ends the wait early when aborted
+ * @returns {Promise<void>}
+ */
+export async function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timeout = setTimeout(resolve, ms)
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timeout)
+        resolve()
+      },
+      { once: true }
+    )
+  })
+}
+
+/**
+ * Exponential backoff with jitter, so clients dropped together don't retry together
+ * @param {{ baseDelay: number, maxDelay: number }} policy
+ * @param {number} attempt - 1-based attempt number
+ * @returns {number} Delay in ms
+ */
+export function getBackoffDelay(policy, attempt) {
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1))
+  return Math.round(delay / 2 + Math.random() * (delay / 2))
 }
 
 //TODO: Update this once its proper from backend
@@ -71,7 +137,7 @@ export function getSocketEndpoint(baseUrl) {
     const basePath = pathParts.join('/')
     socketEndpoint = `wss://${url.hostname}${basePath}/system/${systemId}/wss`
   } catch {
-    console.error('Invalid base URL: ', baseUrl)
+    // Invalid base URL, callers report it
   }
   return socketEndpoint
 }
@@ -82,7 +148,7 @@ export function getCallServerEndpoint(baseUrl) {
     const url = new URL(baseUrl)
     socketEndpoint = `wss://${url.hostname}${url.pathname}/audio`
   } catch {
-    console.error('getCallServerEndpoint: Invalid base URL: ', baseUrl)
+    // Invalid base URL, callers report it
   }
   return socketEndpoint
 }
@@ -11,14 +11,19 @@ export default defineConfig({
     outDir: 'dist',
     emptyOutDir: true,
     lib: {
-      entry: resolve(__dirname, 'src/index.js'),
+      entry: {
+        index: resolve(__dirname, 'src/index.js'),
+        // Optional, kept out of the main bundle
+        render: resolve(__dirname, 'src/render.js')
+      },
       name: 'OrigonChatSDK',
       formats: ['es'],
-      fileName: () => 'origon-chat-sdk.js'
+      fileName: (format, entryName) =>
+        entryName === 'index' ? 'origon-chat-sdk.js' : `${entryName}.js`
     },
     rollupOptions: {
       // External dependencies that shouldn't be bundled
-      external: ['@microsoft/fetch-event-source']
+      external: []
     },
     target: 'es2018',
     sourcemap: true,